@@ -1,3 +1,9 @@
+import openai from "./providers/openai.js";
+import anthropic from "./providers/anthropic.js";
+import ollama from "./providers/ollama.js";
+import responses from "./providers/responses.js";
+import { parseEnvNumber } from "./helpers.js";
+
 // Example:
 // const { text } = await queryAiGate({
 // 	userPrompt: "Summarize this message",
@@ -8,86 +14,426 @@
 // 	temperature: 0.3,
 // 	maxTokens: 128
 // });
+//
+// Multi-turn: pass prior turns as `messages` ({ role, content }), userPrompt is appended last
+//
+// Providers: `provider` (AI_PROVIDER, default "openai") picks the adapter in src/providers that builds
+// the request and normalizes text, usage and errors: "openai" (chat completions and compatible servers),
+// "anthropic" (Messages API), "ollama" (/api/chat) and "responses" (OpenAI Responses API). AI_API and
+// AI_API_KEY belong to AI_PROVIDER; another provider starts from its own default endpoint and no key.
+//
+// Each attempt times out after `timeout` ms (AI_TIMEOUT); 429/5xx answers are retried `retries` times
+// (AI_RETRIES) with exponential backoff from `retryDelay` ms (AI_RETRY_DELAY), honouring Retry-After.
+// When the primary still fails, `fallbacks` ([{ endpoint, model, apiKey }], default AI_FALLBACKS
+// "endpoint|model|apiKey|provider,...") are tried in order; empty fields inherit the primary values,
+// the API key only when the endpoint is inherited too.
+//
+// Tools: pass OpenAI-style `tools` ([{ type: "function", function: { name, description, parameters } }])
+// with `runTool(name, args)`; tool calls are executed and answered until the model replies with text
+// or `maxToolSteps` (AI_TOOL_STEPS) rounds are used, after which tools are disabled for a final answer.
+//
+// Streaming: with `onDelta(text)` the completion is requested with `stream: true` and every text delta
+// is passed on as it arrives; the result is the same as without streaming. The timeout then applies
+// to the wait for each chunk, and a stream that breaks off after the first delta is not retried.
+
+// provider adapters by name
+const providers = new Map([openai, anthropic, ollama, responses].map((adapter) => [adapter.name, adapter]));
+
+// add or replace a provider adapter: { name, endpoint, streamFormat, headers, body, parse, error, createStream }
+export function registerProvider(adapter) {
+
+	if (!adapter?.name || typeof adapter.body !== "function" || typeof adapter.parse !== "function") throw new Error("Invalid provider adapter");
+	providers.set(adapter.name, adapter);
+}
+
+function getProvider(name) {
+
+	const adapter = providers.get(name);
+	if (!adapter) throw new Error(`Unknown AI provider ${name}`);
+	return adapter;
+}
+
+// call params for a bot feature from AI_<FEATURE>_PROVIDER / _API / _API_KEY / _MODEL (e.g. AI_REPLY_MODEL)
+export function featureParams(feature) {
+
+	const prefix = `AI_${String(feature).toUpperCase()}_`;
+	const params = {
+		provider: process.env[`${prefix}PROVIDER`],
+		endpoint: process.env[`${prefix}API`],
+		apiKey: process.env[`${prefix}API_KEY`],
+		model: process.env[`${prefix}MODEL`]
+	};
+
+	return Object.fromEntries(Object.entries(params).filter(([, value]) => value));
+}
+
+// retryable upstream statuses
+const retryStatuses = new Set([429, 500, 502, 503, 504]);
+
+// longest Retry-After we wait for before moving on to the next fallback (ms)
+const maxRetryWait = 30000;
+
+// wait ms unless aborted; the abort listener is removed once the wait is over
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+
+	if (signal?.aborted) return reject(signal.reason);
+
+	const onAbort = () => {
+		clearTimeout(timer);
+		reject(signal.reason);
+	};
+	const timer = setTimeout(() => {
+		signal?.removeEventListener("abort", onAbort);
+		resolve();
+	}, ms);
+
+	signal?.addEventListener("abort", onAbort, { once: true });
+});
+
+// Retry-After header in ms (delta seconds or HTTP date), null when absent or invalid
+function retryAfterMs(response) {
+
+	const value = response.headers.get("retry-after");
+	if (!value) return null;
+
+	const seconds = Number(value);
+	if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+	const at = Date.parse(value);
+	return Number.isFinite(at) ? Math.max(0, at - Date.now()) : null;
+}
+
+// endpoint without query string, safe to log
+function describeEndpoint(endpoint) {
+	try {
+		const url = new URL(endpoint);
+		return `${url.origin}${url.pathname}`;
+	} catch {
+		return "invalid endpoint";
+	}
+}
+
+// read a streamed answer (SSE "data:" lines or NDJSON) through the adapter's stream parser
+// onDelta gets each text delta, onChunk is called for every received chunk (timeout restart)
+async function readStream(response, adapter, onDelta, onChunk) {
+
+	const decoder = new TextDecoder();
+	const parser = adapter.createStream();
+	let buffer = "";
+
+	const handleLine = (line) => {
+
+		const payload = adapter.streamFormat === "ndjson" ? line : line.startsWith("data:") ? line.slice(5).trim() : "";
+		if (!payload || payload === "[DONE]") return;
+
+		const text = parser.push(JSON.parse(payload));
+		if (text) onDelta(text);
+	};
+
+	try {
+		for await (const bytes of response.body) {
+
+			onChunk();
+			buffer += decoder.decode(bytes, { stream: true });
+
+			const lines = buffer.split("\n");
+			buffer = lines.pop();
+			lines.forEach((line) => handleLine(line.trim()));
+		}
+		handleLine((buffer + decoder.decode()).trim());
+	} catch (error) {
+		// tokens the provider reported before the stream broke are spent anyway
+		if (error && typeof error === "object") error.usage ??= parser.result().usage;
+		throw error;
+	}
+
+	return parser.result();
+}
+
+// "endpoint|model|apiKey|provider,..." -> [{ endpoint, model, apiKey, provider }]
+function parseFallbacks(value) {
+	return String(value || "")
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const [endpoint, model, apiKey, provider] = entry.split("|").map((part) => part.trim() || undefined);
+			return { endpoint, model, apiKey, provider };
+		});
+}
 
-// Lightweight helper for calling an OpenAI-compatible chat endpoint
+// Lightweight helper for calling a chat model through a provider adapter
 export async function queryAiGate({
+	provider,
 	endpoint,
 	apiKey,
 	model,
 	systemPrompt,
 	userPrompt = "",
+	messages: history = [],
 	temperature,
 	maxTokens,
 	headers = {},
-	signal
+	signal,
+	timeout,
+	retries,
+	retryDelay,
+	fallbacks,
+	tools = [],
+	runTool,
+	maxToolSteps,
+	onDelta
 } = {}) {
 
-	// helper: parse numeric env/params safely
-	const parseNumber = (value) => {
-		const n = Number(value);
-		return Number.isFinite(n) ? n : undefined;
-	};
 	const pick = (value, fallback) => (value ?? fallback);
 
 	// defaults from environment with sensible fallbacks
+	const envProvider = process.env.AI_PROVIDER || "openai";
 	const envConfig = {
-		endpoint: process.env.AI_API || "https://api.openai.com/v1/chat/completions",
+		provider: envProvider,
+		endpoint: process.env.AI_API || getProvider(envProvider).endpoint,
 		apiKey: process.env.AI_API_KEY,
 		model: process.env.AI_MODEL || "gpt-4o-mini",
 		systemPrompt: process.env.AI_SYSTEM_PROMPT || "",
-		temperature: parseNumber(process.env.AI_TEMPERATURE),
-		maxTokens: parseNumber(process.env.AI_MAX_TOKENS)
+		temperature: parseEnvNumber(process.env.AI_TEMPERATURE),
+		maxTokens: parseEnvNumber(process.env.AI_MAX_TOKENS, undefined, { positive: true }),
+		timeout: parseEnvNumber(process.env.AI_TIMEOUT, 30000, { positive: true }),
+		retries: parseEnvNumber(process.env.AI_RETRIES, 2),
+		retryDelay: parseEnvNumber(process.env.AI_RETRY_DELAY, 1000),
+		fallbacks: parseFallbacks(process.env.AI_FALLBACKS),
+		maxToolSteps: parseEnvNumber(process.env.AI_TOOL_STEPS, 4)
 	};
 
-	// params override env defaults
+	// params override env defaults; env endpoint and key only go to the env provider
+	const providerName = pick(provider, envConfig.provider);
+	const isEnvProvider = providerName === envConfig.provider;
 	const resolved = {
-		endpoint: pick(endpoint, envConfig.endpoint),
-		apiKey: pick(apiKey, envConfig.apiKey),
+		provider: providerName,
+		endpoint: pick(endpoint, isEnvProvider ? envConfig.endpoint : getProvider(providerName).endpoint),
+		apiKey: pick(apiKey, isEnvProvider ? envConfig.apiKey : undefined),
 		model: pick(model, envConfig.model),
 		systemPrompt: pick(systemPrompt, envConfig.systemPrompt),
 		temperature: pick(temperature, envConfig.temperature),
-		maxTokens: pick(maxTokens, envConfig.maxTokens)
+		maxTokens: pick(maxTokens, envConfig.maxTokens),
+		timeout: pick(timeout, envConfig.timeout),
+		retries: Math.max(0, Math.floor(pick(retries, envConfig.retries))),
+		retryDelay: pick(retryDelay, envConfig.retryDelay),
+		fallbacks: pick(fallbacks, envConfig.fallbacks),
+		maxToolSteps: Math.max(0, Math.floor(pick(maxToolSteps, envConfig.maxToolSteps)))
 	};
 
 	// minimal validation
 	if (!resolved.endpoint) throw new Error("Missing endpoint");
 	if (!resolved.model) throw new Error("Missing model");
-	if (!userPrompt) throw new Error("Missing user prompt");
+	if (!userPrompt && !history.length) throw new Error("Missing user prompt");
 
-	// compose OpenAI-compatible messages payload
+	// compose messages (OpenAI shape, adapters convert them)
 	const messages = [
 		...(resolved.systemPrompt ? [{ role: "system", content: resolved.systemPrompt }] : []),
-		{ role: "user", content: userPrompt }
+		...history,
+		...(userPrompt ? [{ role: "user", content: userPrompt }] : [])
 	];
 
-	// assemble request payload
-	const payload = {
-		model: resolved.model,
-		messages,
-		...(typeof resolved.temperature === "number" ? { temperature: resolved.temperature } : {}),
-		...(typeof resolved.maxTokens === "number" ? { max_tokens: resolved.maxTokens } : {})
+	// primary first, then fallbacks inheriting whatever they leave out
+	const targets = [
+		{ provider: resolved.provider, endpoint: resolved.endpoint, model: resolved.model, apiKey: resolved.apiKey },
+		...resolved.fallbacks.map((fallback) => {
+
+			const fallbackProvider = fallback.provider || resolved.provider;
+			const inheritsEndpoint = !fallback.endpoint && fallbackProvider === resolved.provider;
+
+			return {
+				provider: fallbackProvider,
+				endpoint: fallback.endpoint || (inheritsEndpoint ? resolved.endpoint : getProvider(fallbackProvider).endpoint),
+				model: fallback.model || resolved.model,
+				apiKey: fallback.apiKey ?? (inheritsEndpoint ? resolved.apiKey : undefined)
+			};
+		})
+	].map((target) => ({ ...target, adapter: getProvider(target.provider) }));
+
+	// token usage summed over tool rounds and broken streams, attached to errors as error.usage
+	const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+	const addUsage = (part) => {
+		if (!part) return;
+		usage.prompt_tokens += part.prompt_tokens || 0;
+		usage.completion_tokens += part.completion_tokens || 0;
+		usage.total_tokens += part.total_tokens || (part.prompt_tokens || 0) + (part.completion_tokens || 0);
 	};
 
-	// execute request
-	const response = await fetch(resolved.endpoint, {
-		method: "POST",
-		headers: {
-			"Content-Type": "application/json",
-			...(resolved.apiKey ? { Authorization: `Bearer ${resolved.apiKey}` } : {}),
-			...headers
-		},
-		body: JSON.stringify(payload),
-		signal
-	});
-
-	const data = await response.json().catch(() => null);
-	// bubble up API error messages if present
-	if (!response.ok) {
-		throw new Error(data?.error?.message || data?.error || response.statusText || "Request failed");
-	}
+	// one request; resolves with { response, data, result }, throws on network errors and timeouts
+	// with emit the answer is streamed and read here too, restarting the timeout with every chunk
+	const request = async (target, toolChoice, emit) => {
+
+		const controller = new AbortController();
+		let timer = null;
+		const restartTimeout = () => {
+			clearTimeout(timer);
+			timer = setTimeout(() => controller.abort(new DOMException(`Timed out after ${resolved.timeout} ms`, "TimeoutError")), resolved.timeout);
+		};
 
-	return {
-		text: data?.choices?.[0]?.message?.content?.trim() || "",
-		raw: data
+		restartTimeout();
+
+		try {
+			const { adapter } = target;
+			const response = await fetch(target.endpoint, {
+				method: "POST",
+				headers: {
+					"Content-Type": "application/json",
+					...adapter.headers(target.apiKey),
+					...headers
+				},
+				// assemble request payload
+				body: JSON.stringify(adapter.body({
+					model: target.model,
+					messages,
+					temperature: resolved.temperature,
+					maxTokens: resolved.maxTokens,
+					tools,
+					toolChoice,
+					stream: Boolean(emit)
+				})),
+				signal: signal ? AbortSignal.any([signal, controller.signal]) : controller.signal
+			});
+
+			if (!response.ok || !emit) {
+				const data = await response.json().catch(() => null);
+				return { response, data, result: response.ok ? adapter.parse(data) : null };
+			}
+
+			const result = await readStream(response, adapter, emit, restartTimeout);
+
+			return { response, data: result, result };
+		} finally {
+			clearTimeout(timer);
+		}
 	};
+
+	// one completion over the targets with retries; resolves with { result, data, model, deltas }
+	// live rounds hand deltas straight to onDelta, others keep them in deltas until the round is known to be the answer
+	const complete = async (toolChoice, live) => {
+
+		let lastError = null;
+		let streamed = false;
+
+		for (const [index, target] of targets.entries()) {
+
+			for (let attempt = 1; attempt <= resolved.retries + 1; attempt++) {
+
+				const startedAt = Date.now();
+				const log = { provider: target.provider, endpoint: describeEndpoint(target.endpoint), model: target.model, fallback: index, attempt };
+
+				const deltas = [];
+				const emit = !onDelta ? null : live
+					? (text) => {
+						streamed = true;
+						onDelta(text);
+					}
+					: (text) => deltas.push(text);
+
+				let response, data, result;
+				try {
+					({ response, data, result } = await request(target, toolChoice, emit));
+				} catch (error) {
+					addUsage(error?.usage);
+
+					// the caller gave up, or part of the answer is already out: no retries, no fallbacks
+					if (signal?.aborted || streamed) throw error;
+
+					const message = error?.message || String(error);
+					console.log("queryAiGate attempt failed", { ...log, latency: Date.now() - startedAt, error: message });
+					lastError = new Error(message);
+					break;
+				}
+
+				console.log("queryAiGate attempt", { ...log, status: response.status, latency: Date.now() - startedAt });
+
+				if (response.ok) return { result, data, model: result.model || target.model, deltas };
+
+				// bubble up API error messages if present
+				lastError = new Error(target.adapter.error(data) || response.statusText || "Request failed");
+				lastError.status = response.status;
+				if (!retryStatuses.has(response.status) || attempt > resolved.retries) break;
+
+				// exponential backoff unless the provider says how long to wait
+				const wait = retryAfterMs(response) ?? resolved.retryDelay * 2 ** (attempt - 1);
+				if (wait > maxRetryWait) break;
+				await sleep(wait, signal);
+			}
+		}
+
+		throw lastError;
+	};
+
+	const useTools = tools.length > 0 && typeof runTool === "function";
+	const toolCalls = [];
+
+	// model of the last answered round, reported with errors
+	let lastModel = resolved.model;
+
+	try {
+		for (let step = 0; ; step++) {
+
+			// out of steps: tools stay declared (the history refers to them) but may not be called
+			const canCall = useTools && step < resolved.maxToolSteps;
+			// a round that may call tools is only streamed out once it turns out to be the answer
+			const { result, data, model: answeredBy, deltas } = await complete(useTools && !canCall ? "none" : undefined, !canCall);
+			addUsage(result.usage);
+			lastModel = answeredBy;
+
+			const calls = canCall ? result.toolCalls : [];
+
+			if (!calls.length) {
+				if (deltas.length) onDelta(deltas.join(""));
+				return {
+					text: result.text,
+					model: answeredBy,
+					usage: usage.total_tokens ? usage : null,
+					toolCalls,
+					raw: data
+				};
+			}
+
+			messages.push({
+				role: "assistant",
+				content: result.text || null,
+				tool_calls: calls.map(({ id, name, arguments: args }) => ({ id, type: "function", function: { name, arguments: args } }))
+			});
+
+			for (const call of messages.at(-1).tool_calls) {
+				messages.push({ role: "tool", tool_call_id: call.id, content: await executeTool(call, runTool, toolCalls) });
+			}
+		}
+	} catch (error) {
+		// rounds paid for before the failure or abort are still reported, for quotas
+		if (error && typeof error === "object") {
+			error.usage = usage.total_tokens ? usage : null;
+			error.model ??= lastModel;
+		}
+		throw error;
+	}
+}
+
+// run one tool call, log it and return the result as the tool message content
+async function executeTool(call, runTool, toolCalls) {
+
+	const name = call.function?.name;
+	const startedAt = Date.now();
+	let args = {};
+	let content;
+	let error = null;
+
+	try {
+		args = call.function?.arguments ? JSON.parse(call.function.arguments) : {};
+		const result = await runTool(name, args);
+		content = typeof result === "string" ? result : JSON.stringify(result ?? null);
+	} catch (caught) {
+		error = caught?.message || String(caught);
+		content = JSON.stringify({ error });
+	}
+
+	const entry = { name, args, latency: Date.now() - startedAt, error };
+	console.log("queryAiGate tool call", entry);
+	toolCalls.push(entry);
+
+	return content;
 }
@@ -1,5 +1,20 @@
-import { queryAiGate } from "./aigate.js";
-import { wait } from "./helpers.js";
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { queryAi, isQuotaError, quotaMessage } from "./usage.js";
+import { createMeshTools } from "./tools.js";
+import { featureParams } from "./aigate.js";
+import { findKnowledge, knowledgePrompt } from "./knowledge.js";
+import { byteLength, truncateBytes, splitMessage, parseEnvNumber } from "./helpers.js";
+import { deliverChannelMessage, deliverContactMessage, messageLimit } from "./messenger.js";
+import { buildConversation } from "./context.js";
+import { publishEvent } from "./events.js";
+import { pluginHooks, runPlugins } from "./plugins.js";
+
+const parseList = (value) => String(value || "")
+	.split(",")
+	.map((part) => part.trim().toLowerCase())
+	.filter(Boolean);
 
 const parseChannelIds = (value) => new Set(
 	(String(value || "")
@@ -12,24 +27,74 @@ const parseChannelIds = (value) => new Set(
 
 let botName = null;
 const allowedChannels = parseChannelIds(process.env.BOT_CHANNELS);
-const translateFromChannels = parseChannelIds(process.env.AI_TRANSLATE_FROM);
-const translateToChannel = (() => {
-	const n = Number(process.env.AI_TRANSLATE_TO);
-	return Number.isFinite(n) ? n : null;
-})();
+
+// replies longer than one mesh message are split into at most this many parts
+const maxReplyParts = parseEnvNumber(process.env.BOT_MAX_PARTS, 3, { positive: true });
+const channelPrompt = process.env.BOT_CHANNEL_PROMPT || process.env.AI_SYSTEM_PROMPT || "";
+
+// direct messages: own prompt plus public key (or prefix) allow/deny lists
+const contactPrompt = process.env.BOT_CONTACT_PROMPT || process.env.AI_SYSTEM_PROMPT || "";
+const contactsAllow = parseList(process.env.BOT_CONTACTS_ALLOW);
+const contactsDeny = parseList(process.env.BOT_CONTACTS_DENY);
+
+// let the AI look up nodes, contacts and channel messages (tool calls, BOT_TOOLS=false disables)
+const useTools = !["false", "0"].includes(String(process.env.BOT_TOOLS || "").toLowerCase());
+
+// send AI answers sentence by sentence while they are still being written (BOT_STREAM=true)
+const streamReplies = ["true", "1"].includes(String(process.env.BOT_STREAM || "").toLowerCase());
+
+// prefix commands ("!ping") loaded from src/commands, default cooldown per command and conversation (s)
+const commandsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "commands");
+const commandPrefix = process.env.BOT_COMMAND_PREFIX || "!";
+const commandCooldown = parseEnvNumber(process.env.BOT_COMMAND_COOLDOWN, 10);
+
+// quota notices sent per subject and conversation (ms), at most one per interval
+const quotaNotices = new Map();
+const quotaNoticeInterval = 60 * 60 * 1000;
+
+// name/alias -> command, "name:conversation" -> last use (ms)
+const commands = new Map();
+const commandUses = new Map();
 
 export function setBotName(name) {
 	botName = name || null;
 }
 
+export function getBotName() {
+	return botName;
+}
+
 // detect if bot is mentioned via @BotName or @[BotName] anywhere in the text
 function isBotMentioned(text) {
 
 	if (!botName || !text) return false;
+	return mentionRegex().test(text);
+}
+
+// build @BotName / @[BotName] matcher for the current bot name
+function mentionRegex(flags = "i") {
 
 	const escapedName = botName.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-	const mentionRegex = new RegExp(`@\\[?${escapedName}\\]?`, "i");
-	return mentionRegex.test(text);
+	return new RegExp(`@\\[?${escapedName}\\]?`, flags);
+}
+
+// remove bot mentions and collapse leftover whitespace
+function stripMention(text) {
+
+	if (!botName || !text) return (text || "").trim();
+	return text.replace(mentionRegex("gi"), " ").replace(/\s+/g, " ").trim();
+}
+
+// detect if contact is allowed via BOT_CONTACTS_ALLOW / BOT_CONTACTS_DENY env (deny wins)
+function isAllowedContact(publicKey) {
+
+	if (!publicKey) return false;
+
+	const key = String(publicKey).toLowerCase();
+	const matches = (prefix) => key.startsWith(prefix);
+
+	if (contactsDeny.some(matches)) return false;
+	return !contactsAllow.length || contactsAllow.some(matches);
 }
 
 // detect if channel is allowed via BOT_CHANNELS env
@@ -39,132 +104,374 @@ function isAllowedChannel(channelIdx) {
 	return allowedChannels.has(Number(channelIdx));
 }
 
-// bot entry point for reacting to different message sources
-export async function nudgeBot({
-	source,
-	advName = null,
-	text = null,
-	publicKey = null,
-	channelIdx = null,
-	channelName = null,
-	senderTimestamp = null,
-	connection = null,
-	type = null,
-	lastAdvert = null,
-	lastMod = null,
-	advLat = null,
-	advLon = null
-}) {
-
-	switch (source) {
-
-		case "contact":
-			return handleContactMessage({ advName, text, publicKey, senderTimestamp });
-
-		case "channel":
-			// forward translation when configured, regardless of bot mention
-			try {
-				const translationResult = await translateChannelMessage({
-					sourceChannelIdx: channelIdx,
-					advName,
-					text,
-					destinationChannelIdx: translateToChannel,
-					connection
-				});
-				if (translationResult?.message) {
-					console.log("translateChannelMessage notice", translationResult);
-				}
-			} catch (error) {
-				console.log("nudgeBot translateChannelMessage failed", error);
-			}
-
-			// engage only on allowed channels and when explicitly mentioned
-			if (isAllowedChannel(channelIdx) && isBotMentioned(text)) {
-				return handleChannelMessage({ advName, text, publicKey, channelIdx, channelName, senderTimestamp, connection });
-			}
-			return null;
-
-		case "advert":
-			return handleAdvert({ advName, publicKey, type, lastAdvert, lastMod, advLat, advLon });
-			
-		default:
-			console.log("nudgeBot: unknown source", source, { advName, text, publicKey });
-			return null;
-	}
-}
-
-async function handleContactMessage({ advName, text, publicKey, senderTimestamp }) {
-
-	console.log("nudgeBot contact path", { botName, advName, text, publicKey, senderTimestamp });
-}
-
-async function handleChannelMessage({ advName, text, publicKey, channelIdx, channelName, senderTimestamp, connection }) {
-
-	console.log("nudgeBot channel path", { botName, advName, text, publicKey, channelIdx, channelName, senderTimestamp });
-
-	const replyText = `@[${advName || "friend"}] you said: ${text}`;
-	console.log("nudgeBot channel reply", replyText);
+// helpers handed to plugins as context.bot
+const botApi = {
+	get name() {
+		return botName;
+	},
+	maxReplyParts,
+	isMentioned: isBotMentioned,
+	stripMention,
+	isAllowedContact,
+	isAllowedChannel,
+	replyBudget,
+	ask: generateAnswer,
+	reply: sendReply,
+	answer: answerQuestion,
+	runCommand
+};
+
+// bot entry point: contact, channel and advert events go through the enabled plugins in order
+export async function nudgeBot({ source, connection = null, ...event }) {
+
+	if (!pluginHooks.includes(source)) {
+		console.log("nudgeBot: unknown source", source, event);
+		return null;
+	}
+
+	return runPlugins(source, { source, ...event }, { connection, bot: botApi });
+}
+
+// "@[name] " prefix addressing the asker in a channel
+function mentionPrefix(advName) {
+	return `@[${advName || "friend"}] `;
+}
+
+// bytes available for a reply of up to parts messages (channel replies start with a mention)
+function replyBudget(source, advName, parts = maxReplyParts) {
+
+	const total = messageLimit * parts;
+	return source === "channel" ? Math.max(0, total - byteLength(mentionPrefix(advName))) : total;
+}
+
+// ask the AI with the conversation history, the per-source prompt and matching knowledge base notes,
+// returns { text, model, usage, sources } (titles of the notes offered to the model)
+// charged to the asker and channel; an exhausted quota yields a polite notice instead
+// onDelta receives the answer text as it streams in
+async function generateAnswer({ source, advName = null, question, publicKey = null, channelIdx = null, messageId = null, onDelta = null }) {
+
+	const budget = replyBudget(source, advName);
+	const history = buildConversation({ source, publicKey, channelIdx, beforeId: messageId });
+	const prompt = source === "channel" ? channelPrompt : contactPrompt;
+	const knowledge = findKnowledge(question);
+	const sources = [...new Set(knowledge.map((match) => match.title))];
 
 	try {
-		await connection.sendChannelTextMessage(channelIdx, replyText);
+		const { text, model, usage } = await queryAi({
+			...featureParams("reply"),
+			messages: history,
+			userPrompt: source === "channel" && advName ? `${advName}: ${question}` : question,
+			systemPrompt: [prompt, knowledgePrompt(knowledge), `Reply in plain text, max ${budget} chars.`].filter(Boolean).join(" "),
+			...(useTools ? createMeshTools({ channelIdx: source === "channel" ? channelIdx : null }) : {}),
+			...(onDelta ? { onDelta } : {})
+		}, { source, publicKey, channelIdx });
+
+		return { text: (text || "").trim(), model, usage, sources };
 	} catch (error) {
-		console.log("nudgeBot: failed to send channel reply", error);
+		if (!isQuotaError(error)) throw error;
+
+		// tell the asker once per hour, stay quiet otherwise
+		const key = `${error.quota.kind}:${error.quota.id}:${source === "channel" ? channelIdx : publicKey}`;
+		const notifiedAt = quotaNotices.get(key) || 0;
+		console.log("nudgeBot: AI quota exceeded", error.quota);
+
+		if (Date.now() - notifiedAt < quotaNoticeInterval) return { text: "", model: null, usage: null };
+		quotaNotices.set(key, Date.now());
+		return { text: quotaMessage(error), model: null, usage: null };
+	}
+}
+
+// leading whole sentences of text that fit maxBytes as { chunk, rest }, null while none is complete
+// a sentence longer than maxBytes is cut at a word; final also takes an unfinished last sentence
+function takeSentences(text, maxBytes, final = false) {
+
+	const clean = text.replace(/\s+/g, " ").trimStart();
+	if (!clean) return null;
+	if (final && byteLength(clean) <= maxBytes) return { chunk: clean.trim(), rest: "" };
+
+	let cut = 0;
+	for (const match of clean.matchAll(/[.!?…]+(?= )/g)) {
+		const end = match.index + match[0].length;
+		if (byteLength(clean.slice(0, end)) > maxBytes) break;
+		cut = end;
+	}
+
+	if (!cut && byteLength(clean) > maxBytes) {
+		const [head] = splitMessage(clean, maxBytes, { numbered: false, maxParts: 1 });
+		cut = head.length;
 	}
 
+	return cut ? { chunk: clean.slice(0, cut).trim(), rest: clean.slice(cut) } : null;
+}
+
+// answer a question and reply; with BOT_STREAM each sentence-sized chunk is queued as soon as it is complete
+// chunks go out once they fill half a message, the last allowed part takes what is left at the end
+async function answerQuestion({ source, advName = null, question, publicKey = null, channelIdx = null, channelName = null, messageId = null }) {
+
+	const target = { source, advName, publicKey, channelIdx, channelName, messageId };
+
+	if (!streamReplies) {
+		const answer = await generateAnswer({ source, advName, question, publicKey, channelIdx, messageId });
+		if (answer.text) await sendReply({ ...target, ...answer });
+		return answer;
+	}
+
+	const chunkBytes = replyBudget(source, advName, 1);
+	let pending = "";
+	let sent = 0;
+	let sending = Promise.resolve();
+
+	const send = (text, extra = {}) => {
+		sent++;
+		sending = sending.then(() => sendReply({ ...target, ...extra, text }));
+	};
+
+	const onDelta = (delta) => {
+
+		pending += delta;
+
+		while (sent < maxReplyParts - 1) {
+			const piece = takeSentences(pending, chunkBytes);
+			if (!piece || (byteLength(piece.chunk) < chunkBytes / 2 && byteLength(pending) <= chunkBytes)) break;
+			send(piece.chunk);
+			pending = piece.rest;
+		}
+	};
+
+	try {
+		const answer = await generateAnswer({ source, advName, question, publicKey, channelIdx, messageId, onDelta });
+
+		// quota notices and non-streaming providers arrive in one piece
+		if (!sent && !pending.trim()) pending = answer.text;
+
+		while (pending.trim() && sent < maxReplyParts) {
+			const last = sent === maxReplyParts - 1;
+			const piece = takeSentences(pending, chunkBytes, true);
+			const chunk = last && piece?.rest.trim() ? splitMessage(pending, chunkBytes, { numbered: false, maxParts: 1 })[0] : piece.chunk;
+			pending = last ? "" : piece.rest;
+			send(chunk, pending.trim() ? {} : { model: answer.model, usage: answer.usage, sources: answer.sources });
+		}
+
+		return answer;
+	} finally {
+		await sending;
+	}
+}
+
+// queue a reply to the channel or contact the trigger came from and publish bot.reply
+async function sendReply({ source, advName = null, publicKey = null, channelIdx = null, channelName = null, messageId = null, text, model = null, usage = null, command = null, sources = null }) {
+
+	const replyText = source === "channel" ? mentionPrefix(advName) + text : text;
+	// queued without waiting for the radio, the next trigger must not sit behind this send
+	const message = { advName: botName, text: replyText, maxParts: maxReplyParts, replyTo: messageId, priority: "reply", model, usage, wait: false };
+	let result = { messageId: null, status: "failed" };
+
+	try {
+		result = source === "channel"
+			? await deliverChannelMessage({ ...message, channelIdx, channelName })
+			: await deliverContactMessage({ ...message, publicKey });
+	} catch (error) {
+		console.log(`nudgeBot: failed to send ${source} reply`, error);
+	}
+
+	if (result.status !== "queued") {
+		console.log(`nudgeBot: ${source} reply not queued`, { advName, publicKey, channelIdx, status: result.status, duplicateOf: result.duplicateOf });
+	}
+
+	publishEvent("bot.reply", {
+		source,
+		messageId: result.messageId,
+		replyTo: messageId,
+		...(source === "channel" ? { channelIdx, channelName } : { publicKey, advName }),
+		...(command ? { command } : {}),
+		...(sources?.length ? { sources } : {}),
+		text: replyText,
+		status: result.status
+	});
+
 	return replyText;
 }
 
-async function handleAdvert({ advName, publicKey, type, lastAdvert, lastMod, advLat, advLon }) {
-	
-	console.log("nudgeBot advert path", { botName, advName, publicKey, type, lastAdvert, lastMod, advLat, advLon });
+// register a command module: { name, aliases, usage, description, channels, contacts, cooldown, hidden, run(context) }
+// run returns the reply text, { text, model, usage } or nothing
+export function registerCommand(command) {
+
+	if (!command?.name || typeof command.run !== "function") throw new Error("Invalid command module");
+
+	const name = command.name.toLowerCase();
+	const envKey = name.toUpperCase().replace(/[^A-Z0-9]/g, "_");
+	const channelsEnv = process.env[`BOT_COMMAND_${envKey}_CHANNELS`];
+	const contactsEnv = process.env[`BOT_COMMAND_${envKey}_CONTACTS`];
+
+	const entry = {
+		...command,
+		name,
+		usage: command.usage || name,
+		minArgs: (command.usage?.match(/<[^>]+>/g) || []).length,
+		// env overrides: comma list, "*" = everywhere, empty = nowhere; unset follows BOT_CHANNELS / BOT_CONTACTS_*
+		channelAccess: channelsEnv === undefined ? null : (channelsEnv.trim() === "*" ? "*" : parseChannelIds(channelsEnv)),
+		contactAccess: contactsEnv === undefined ? null : (contactsEnv.trim() === "*" ? "*" : parseList(contactsEnv))
+	};
+
+	for (const key of [name, ...(command.aliases || []).map((alias) => alias.toLowerCase())]) {
+		commands.set(key, entry);
+	}
+
+	return entry;
 }
 
-// translate a channel message via AI and forward to a destination channel
-export async function translateChannelMessage({
-	sourceChannelIdx,
-	advName,
-	text,
-	destinationChannelIdx,
-	connection
-}) {
+// split "!name arg "quoted arg"" into { name, args, rest }, null when text is not a command
+function parseCommand(text) {
 
-	const messageLimit = 135;
-	const src = Number(sourceChannelIdx);
-	if (!Number.isFinite(src) || !translateFromChannels.has(src)) return null;
+	const clean = (text || "").trim();
+	if (!clean.startsWith(commandPrefix)) return null;
 
-	const dest = Number(destinationChannelIdx ?? translateToChannel);
-	if (!Number.isFinite(dest)) return { message: "Missing destination channel id" };
-	if (!connection) return { message: "Missing connection" };
+	const match = clean.slice(commandPrefix.length).match(/^(\S+)\s*([\s\S]*)$/);
+	if (!match) return null;
 
-	const rawText = (text || "").trim();
-	if (!rawText) return { message: "Missing text" };
+	const rest = match[2].trim();
+	const args = [...rest.matchAll(/"([^"]*)"|(\S+)/g)].map((token) => token[1] ?? token[2]);
 
-	try {
-		// compute how many characters AI can use (reserve space for "advName: ")
-		const budget = Math.max(0, messageLimit - ((advName?.length || "Unknown".length) + 2));
+	return { name: match[1].toLowerCase(), args, rest };
+}
 
-		const { text: translated } = await queryAiGate({
-			userPrompt: rawText,
-			systemPrompt: `Return only the Latvian—English translation. If not translatable, return as is. Max ${budget} chars.`,
-			maxTokens: 40
-		});
+// command permission for the conversation: env override or the bot's channel/contact rules
+function isCommandAllowed(command, { source, channelIdx, publicKey }) {
 
-		const translatedClean = (translated || "").trim();
-		if (!translatedClean) return { message: "Translation empty" };
+	if (source === "channel") {
+		if (command.channels === false) return false;
+		if (command.channelAccess == null) return isAllowedChannel(channelIdx);
+		return command.channelAccess === "*" || command.channelAccess.has(Number(channelIdx));
+	}
 
-		const namePart = advName || "Unknown";
+	if (source === "contact") {
+		if (command.contacts === false) return false;
+		if (command.contactAccess == null) return isAllowedContact(publicKey);
 
-		// hard cap to protect downstream limits
-		const capped = translatedClean.slice(0, budget);
-		const payload = `${namePart}: ${capped}`.slice(0, messageLimit);
+		const key = String(publicKey || "").toLowerCase();
+		return command.contactAccess === "*" || (Boolean(key) && command.contactAccess.some((prefix) => key.startsWith(prefix)));
+	}
+
+	return false;
+}
+
+// true while the command is cooling down in this conversation, otherwise records the use
+function isCoolingDown(command, conversation) {
 
-		// small pause before forwarding to avoid hammering
-		await wait(10000);
-		await connection.sendChannelTextMessage(dest, payload);
+	const cooldown = (command.cooldown ?? commandCooldown) * 1000;
+	const key = `${command.name}:${conversation}`;
+	const now = Date.now();
+
+	if (cooldown && now - (commandUses.get(key) || 0) < cooldown) return true;
+
+	commandUses.set(key, now);
+	return false;
+}
 
-		return { channelIdx: dest, text: payload };
+// one-message help: commands usable in this conversation, or one command's usage
+function buildHelp(topic, scope, budget) {
+
+	const usage = (command) => `${commandPrefix}${command.usage}`;
+
+	if (topic) {
+		const name = topic.startsWith(commandPrefix) ? topic.slice(commandPrefix.length) : topic;
+		const command = commands.get(name.toLowerCase());
+		if (!command || !isCommandAllowed(command, scope)) return `Unknown command ${topic}`;
+		return truncateBytes([usage(command), command.description].filter(Boolean).join(" - "), budget);
+	}
+
+	const available = [...new Set(commands.values())].filter((command) => !command.hidden && isCommandAllowed(command, scope));
+	const full = `Commands: ${available.map(usage).join(" ")}`;
+	if (byteLength(full) <= budget) return full;
+
+	// fall back to bare names when usages do not fit
+	return truncateBytes(`Commands: ${available.map((command) => commandPrefix + command.name).join(" ")}`, budget);
+}
+
+// handle text as a prefix command (also after a mention in channels), true when it was taken care of
+async function runCommand({ source, text, advName = null, publicKey = null, channelIdx = null, channelName = null, senderTimestamp = null, messageId = null }) {
+
+	const command = parseCommand(source === "channel" ? stripMention(text) : text);
+	if (!command) return false;
+
+	return handleCommand({ ...command, source, advName, publicKey, channelIdx, channelName, senderTimestamp, messageId });
+}
+
+// run a prefix command and reply with its result; false for unknown commands in channels
+async function handleCommand({ name, args, rest, source, advName, publicKey, channelIdx = null, channelName = null, senderTimestamp, messageId }) {
+
+	const command = commands.get(name);
+	const scope = { source, channelIdx, publicKey };
+
+	// unknown or not permitted: stay quiet in channels, other bots may share the prefix
+	if (!command || !isCommandAllowed(command, scope)) {
+		if (source !== "contact" || !isAllowedContact(publicKey)) return false;
+		await sendReply({ source, advName, publicKey, messageId, text: `Unknown command. Try ${commandPrefix}help` });
+		return true;
+	}
+
+	if (args.length < command.minArgs) {
+		await sendReply({ source, advName, publicKey, channelIdx, channelName, messageId, text: `Usage: ${commandPrefix}${command.usage}`, command: command.name });
+		return true;
+	}
+
+	const conversation = source === "channel" ? `c${channelIdx}` : `k${publicKey}`;
+	if (isCoolingDown(command, conversation)) {
+		console.log("nudgeBot: command cooling down", { command: command.name, conversation });
+		return true;
+	}
+
+	console.log("nudgeBot command", { command: command.name, args, source, advName, channelIdx, publicKey });
+	publishEvent("bot.command", { source, command: command.name, args, advName, publicKey, channelIdx, channelName, messageId });
+
+	const messageBudget = replyBudget(source, advName, 1);
+	let reply = null;
+
+	try {
+		reply = await command.run({
+			name: command.name,
+			args,
+			rest,
+			source,
+			advName,
+			publicKey,
+			channelIdx,
+			channelName,
+			senderTimestamp,
+			messageId,
+			botName,
+			prefix: commandPrefix,
+			messageBudget,
+			replyBudget: replyBudget(source, advName),
+			help: (topic) => buildHelp(topic, scope, messageBudget),
+			askAi: (question) => generateAnswer({ source, advName, question, publicKey, channelIdx, messageId })
+		});
 	} catch (error) {
-		console.log("translateChannelMessage failed", error);
-		return { message: "Translation failed", error: error?.message || String(error) };
+		console.log(`nudgeBot: command ${command.name} failed`, error);
+		reply = `${commandPrefix}${command.name} failed`;
 	}
+
+	const { text = "", model = null, usage = null } = typeof reply === "string" ? { text: reply } : (reply || {});
+	if (text.trim()) await sendReply({ source, advName, publicKey, channelIdx, channelName, messageId, text: text.trim(), model, usage, command: command.name });
+
+	return true;
 }
+
+// load command modules (default export) from src/commands
+async function loadCommands() {
+
+	if (!fs.existsSync(commandsDir)) return;
+
+	const files = fs.readdirSync(commandsDir).filter((file) => file.endsWith(".js")).sort();
+
+	for (const file of files) {
+		try {
+			const module = await import(pathToFileURL(path.join(commandsDir, file)).href);
+			registerCommand(module.default);
+		} catch (error) {
+			console.log(`Failed to load command ${file}`, error);
+		}
+	}
+}
+
+await loadCommands();
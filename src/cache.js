@@ -58,6 +58,25 @@ export function getCachedContactByPrefix(prefixBytes) {
 	return null;
 }
 
+// resolve all contacts matching a hex public key prefix (cache first, device refresh on miss)
+export async function resolveContactsByPrefix(prefixHex, connection) {
+
+	const prefix = String(prefixHex || "").toLowerCase();
+	if (!prefix) return [];
+
+	const scan = () => Array.from(contactCache.byKey.entries())
+		.filter(([keyHex]) => keyHex.startsWith(prefix))
+		.map(([keyHex, contact]) => ({ ...contact, publicKeyHex: keyHex }));
+
+	let matches = scan();
+	if (matches.length || !connection) return matches;
+
+	const contacts = await connection.getContacts();
+	cacheContacts(contacts);
+	matches = scan();
+	return matches;
+}
+
 // resolve contact by advert name (cache first, device fallback)
 export async function resolveContactByAdvName(advName, connection) {
 
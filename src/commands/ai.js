@@ -0,0 +1,11 @@
+// !ai <question>: ask the AI, same prompts and history as a mention
+export default {
+	name: "ai",
+	aliases: ["ask"],
+	usage: "ai <question>",
+	description: "ask the AI",
+	cooldown: 5,
+	run({ rest, askAi }) {
+		return askAi(rest);
+	}
+};
@@ -0,0 +1,11 @@
+// !help [command]: commands usable here, or one command's usage, in a single message
+export default {
+	name: "help",
+	aliases: ["commands"],
+	usage: "help [command]",
+	description: "list commands or show usage",
+	cooldown: 30,
+	run({ args, help }) {
+		return help(args[0]);
+	}
+};
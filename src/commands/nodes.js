@@ -0,0 +1,25 @@
+import * as database from "../database.js";
+
+// !nodes [hours]: nodes heard recently, counted by type
+export default {
+	name: "nodes",
+	usage: "nodes [hours]",
+	description: "nodes heard recently by type",
+	cooldown: 60,
+	run({ args }) {
+
+		const hours = Math.min(Math.max(Number(args[0]) || 24, 1), 24 * 30);
+		const since = Math.floor(Date.now() / 1000) - hours * 3600;
+		const { nodes, total } = database.queryNodeSightings({ lastSeenSince: since, limit: 10000 });
+
+		const byType = {};
+		for (const node of nodes) byType[node.type || "unknown"] = (byType[node.type || "unknown"] || 0) + 1;
+
+		const breakdown = Object.entries(byType)
+			.sort((a, b) => b[1] - a[1])
+			.map(([type, count]) => `${type} ${count}`)
+			.join(", ");
+
+		return `Nodes heard in ${hours}h: ${total}${breakdown ? ` (${breakdown})` : ""}`;
+	}
+};
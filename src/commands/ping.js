@@ -0,0 +1,10 @@
+// !ping: liveness check, with message age when the sender clock is set
+export default {
+	name: "ping",
+	description: "check the bot is alive",
+	run({ senderTimestamp }) {
+
+		const age = senderTimestamp ? Math.floor(Date.now() / 1000) - Number(senderTimestamp) : null;
+		return age != null && age >= 0 && age < 3600 ? `pong (${age}s)` : "pong";
+	}
+};
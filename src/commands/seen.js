@@ -0,0 +1,19 @@
+import * as database from "../database.js";
+import { formatAge } from "../helpers.js";
+
+// !seen <name>: when a node was last heard
+export default {
+	name: "seen",
+	usage: "seen <name>",
+	description: "when a node was last heard",
+	run({ rest }) {
+
+		const nodes = database.findNodesByName(rest, 3);
+		if (!nodes.length) return `${rest} not heard yet`;
+
+		const now = Math.floor(Date.now() / 1000);
+		return nodes
+			.map((node) => `${node.adv_name}${node.type ? ` (${node.type})` : ""} ${formatAge(now - node.timestamp)} ago`)
+			.join("; ");
+	}
+};
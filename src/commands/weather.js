@@ -0,0 +1,58 @@
+// !weather <place>: current conditions from Open-Meteo (no API key needed)
+const geocodeUrl = process.env.WEATHER_GEOCODE_API || "https://geocoding-api.open-meteo.com/v1/search";
+const forecastUrl = process.env.WEATHER_API || "https://api.open-meteo.com/v1/forecast";
+const defaultPlace = process.env.WEATHER_PLACE || "";
+const requestTimeout = 10000;
+
+// WMO weather codes grouped into short words
+const conditions = [
+	[0, "clear"],
+	[3, "cloudy"],
+	[48, "fog"],
+	[57, "drizzle"],
+	[67, "rain"],
+	[77, "snow"],
+	[82, "showers"],
+	[86, "snow showers"],
+	[99, "thunderstorm"]
+];
+
+function describe(code) {
+	return conditions.find(([max]) => Number(code) <= max)?.[1] || "unknown";
+}
+
+async function getJson(url) {
+
+	const response = await fetch(url, { signal: AbortSignal.timeout(requestTimeout) });
+	if (!response.ok) throw new Error(`HTTP ${response.status}`);
+	return response.json();
+}
+
+export default {
+	name: "weather",
+	aliases: ["wx"],
+	usage: defaultPlace ? "weather [place]" : "weather <place>",
+	description: "current weather for a place",
+	cooldown: 60,
+	async run({ rest }) {
+
+		const place = rest || defaultPlace;
+
+		const geo = await getJson(`${geocodeUrl}?${new URLSearchParams({ name: place, count: "1" })}`);
+		const location = geo?.results?.[0];
+		if (!location) return `Unknown place ${place}`;
+
+		const forecast = await getJson(`${forecastUrl}?${new URLSearchParams({
+			latitude: String(location.latitude),
+			longitude: String(location.longitude),
+			current: "temperature_2m,relative_humidity_2m,wind_speed_10m,weather_code",
+			wind_speed_unit: "ms"
+		})}`);
+
+		const current = forecast?.current;
+		if (!current) return `No weather for ${location.name}`;
+
+		return `${location.name}: ${describe(current.weather_code)}, ${Math.round(current.temperature_2m)}°C, `
+			+ `wind ${Math.round(current.wind_speed_10m)} m/s, humidity ${current.relative_humidity_2m}%`;
+	}
+};
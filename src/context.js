@@ -0,0 +1,64 @@
+import * as database from "./database.js";
+import { parseEnvNumber } from "./helpers.js";
+
+// history window per source: turns, char budget (~4 chars per token) and max age in seconds
+const contextConfig = {
+	channel: {
+		turns: parseEnvNumber(process.env.BOT_CONTEXT_CHANNEL_TURNS, 6),
+		chars: parseEnvNumber(process.env.BOT_CONTEXT_CHANNEL_CHARS, 1500),
+		maxAge: parseEnvNumber(process.env.BOT_CONTEXT_CHANNEL_MAX_AGE, 3600)
+	},
+	contact: {
+		turns: parseEnvNumber(process.env.BOT_CONTEXT_CONTACT_TURNS, 10),
+		chars: parseEnvNumber(process.env.BOT_CONTEXT_CONTACT_CHARS, 3000),
+		maxAge: parseEnvNumber(process.env.BOT_CONTEXT_CONTACT_MAX_AGE, 86400)
+	}
+};
+
+// build prior turns for a contact (by public key) or channel (by index) as chat messages
+// outgoing rows become assistant turns, channel speakers are prefixed by name
+export function buildConversation({ source, publicKey = null, channelIdx = null, beforeId = null }) {
+
+	const config = contextConfig[source];
+	if (!config?.turns) return [];
+
+	let rows = [];
+
+	try {
+		rows = database.getConversationMessages({
+			publicKey: source === "contact" ? publicKey : null,
+			channelIdx: source === "channel" ? channelIdx : null,
+			beforeId,
+			limit: config.turns,
+			maxAge: config.maxAge || null
+		});
+	} catch (error) {
+		console.log("buildConversation failed", error);
+		return [];
+	}
+
+	const turns = rows
+		.filter((row) => row.text)
+		.map((row) => {
+
+			if (row.direction === "out") return { role: "assistant", content: row.text };
+
+			const content = source === "channel" && row.adv_name ? `${row.adv_name}: ${row.text}` : row.text;
+			return { role: "user", content };
+		});
+
+	// keep newest turns within char budget
+	const kept = [];
+	let used = 0;
+
+	for (const turn of turns.reverse()) {
+		used += turn.content.length;
+		if (config.chars && used > config.chars) break;
+		kept.unshift(turn);
+	}
+
+	// chat APIs expect the history to open with a user turn
+	while (kept[0]?.role === "assistant") kept.shift();
+
+	return kept;
+}
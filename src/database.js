@@ -8,49 +8,126 @@ const __dirname = path.dirname(__filename);
 
 const dbFileName = process.env.SQLITE_DB || path.join("data", "sqlite.db");
 const dbPath = path.isAbsolute(dbFileName) ? dbFileName : path.join(__dirname, dbFileName);
-const migrationPath = path.join(__dirname, "migration.sql");
-const forceMigrate = process.env.SQLITE_FORCE_MIGRATE === "true";
+const migrationsDir = path.join(__dirname, "migrations");
 const journalMode = (process.env.SQLITE_JOURNAL_MODE || "wal").trim();
 
+// SQLITE_AUTO_MIGRATE=false leaves pending migrations for apiApplyMigrations
+const autoMigrate = !["false", "0"].includes(String(process.env.SQLITE_AUTO_MIGRATE || "").trim().toLowerCase());
+
 let dbInstance = null;
-let migrationsApplied = false;
+
+// last failed migration { version, name, file, error, failedAt }, reported by getMigrationStatus
+let migrationFailure = null;
 
 function initDatabase() {
 
 	if (dbInstance) return dbInstance;
 
 	// create on first use
-	const isNew = !fs.existsSync(dbPath);
 	const dbDir = path.dirname(dbPath);
 	if (!fs.existsSync(dbDir)) {
 		fs.mkdirSync(dbDir, { recursive: true });
 	}
-	dbInstance = new Database(dbPath);
+	const db = new Database(dbPath);
 
 	// prefer WAL for better concurrent reads/writes unless disabled
 	if (journalMode) {
-		dbInstance.pragma(`journal_mode = ${journalMode}`);
+		db.pragma(`journal_mode = ${journalMode}`);
 	}
 
-	// run bootstrap schema on new db or when forced via env
-	if (isNew || (forceMigrate && !migrationsApplied)) {
-		runMigrations(dbInstance);
-		migrationsApplied = true;
-	}
+	// bring schema up to date before first use; a failing migration is recorded and
+	// the database stays usable at the last good version
+	ensureMigrationsTable(db);
+	if (autoMigrate) runMigrations(db);
 
+	dbInstance = db;
 	return dbInstance;
 }
 
-// apply migration script once on new db
+// list numbered migration scripts (NNN_name.sql) in version order
+function listMigrations() {
+
+	if (!fs.existsSync(migrationsDir)) {
+		throw new Error(`Migrations directory not found at ${migrationsDir}`);
+	}
+
+	return fs.readdirSync(migrationsDir)
+		.map((file) => {
+			const match = file.match(/^(\d+)_(.+)\.sql$/);
+			return match ? { version: Number(match[1]), name: match[2], file } : null;
+		})
+		.filter(Boolean)
+		.sort((a, b) => a.version - b.version);
+}
+
+// read migration sql from disk
+function readMigration(migration) {
+	return fs.readFileSync(path.join(migrationsDir, migration.file), "utf8").trim();
+}
+
+// create tracking table, baselining databases bootstrapped by the former migration.sql
+function ensureMigrationsTable(db) {
+
+	const hasTable = (name) => !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+	if (hasTable("schema_migrations")) return;
+
+	db.exec(`
+		CREATE TABLE schema_migrations (
+			version INTEGER PRIMARY KEY,
+			name TEXT NOT NULL,
+			applied_at INTEGER DEFAULT (strftime('%s','now'))
+		)
+	`);
+
+	if (!hasTable("messages")) return;
+
+	// legacy schema: 001 always present, 002 when outgoing columns were added in place
+	const columns = new Set(db.prepare("PRAGMA table_info(messages)").all().map((column) => column.name));
+	const baseline = columns.has("direction") ? 2 : 1;
+	const record = db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+
+	for (const migration of listMigrations()) {
+		if (migration.version <= baseline) record.run(migration.version, migration.name);
+	}
+
+	console.log(`Baselined legacy database at migration ${baseline}`);
+}
+
+// migrations not yet recorded in schema_migrations
+function pendingMigrations(db) {
+
+	const applied = new Set(db.prepare("SELECT version FROM schema_migrations").all().map((row) => row.version));
+	return listMigrations().filter((migration) => !applied.has(migration.version));
+}
+
+// apply pending migrations in order, each in its own transaction, stopping at the first failure
+// returns { applied, failed }
 function runMigrations(db) {
 
-	if (!fs.existsSync(migrationPath)) {
-		throw new Error(`Migration file not found at ${migrationPath}`);
+	const applied = [];
+	const record = db.prepare("INSERT INTO schema_migrations (version, name) VALUES (?, ?)");
+
+	for (const migration of pendingMigrations(db)) {
+
+		const sql = readMigration(migration);
+
+		try {
+			db.transaction(() => {
+				if (sql) db.exec(sql);
+				record.run(migration.version, migration.name);
+			})();
+		} catch (error) {
+			migrationFailure = { version: migration.version, name: migration.name, file: migration.file, error: error.message, failedAt: Math.floor(Date.now() / 1000) };
+			console.log(`Migration ${migration.file} failed`, error.message);
+			break;
+		}
+
+		migrationFailure = null;
+		applied.push({ version: migration.version, name: migration.name });
+		console.log(`Applied migration ${migration.file}`);
 	}
 
-	const migrationSql = fs.readFileSync(migrationPath, "utf8").trim();
-	if (!migrationSql) return; // single-shot schema creation
-	db.exec(migrationSql);
+	return { applied, failed: migrationFailure };
 }
 
 // normalize undefined to null for sqlite
@@ -58,7 +135,7 @@ function nullish(value) {
 	return value === undefined ? null : value;
 }
 
-// insert or update advert by public key
+// insert or update advert by public key, recording it in advert_history
 export function upsertAdvert({
 	publicKey,
 	type,
@@ -71,6 +148,28 @@ export function upsertAdvert({
 
 	const db = initDatabase();
 
+	const params = {
+		publicKey,
+		type: nullish(type),
+		advName: nullish(advName),
+		lastAdvert: nullish(lastAdvert),
+		lastMod: nullish(lastMod),
+		advLat: nullish(advLat),
+		advLon: nullish(advLon)
+	};
+
+	// report first sighting of a node to the caller
+	return db.transaction(() => {
+		const isNew = !db.prepare("SELECT 1 FROM adverts WHERE public_key = ?").get(publicKey);
+		upsertAdvertRow(db, params);
+		recordAdvertHistory(db, params);
+		return { isNew };
+	})();
+}
+
+// latest advert state per public key
+function upsertAdvertRow(db, params) {
+
 	db.prepare(`
 		INSERT INTO adverts (public_key, type, adv_name, last_advert, last_mod, adv_lat, adv_lon, timestamp)
 		VALUES (@publicKey, @type, @advName, @lastAdvert, @lastMod, @advLat, @advLon, strftime('%s','now'))
@@ -82,40 +181,95 @@ export function upsertAdvert({
 			adv_lat = excluded.adv_lat,
 			adv_lon = excluded.adv_lon,
 			timestamp = strftime('%s','now')
-	`).run({
-		publicKey,
-		type: nullish(type),
-		advName: nullish(advName),
-		lastAdvert: nullish(lastAdvert),
-		lastMod: nullish(lastMod),
-		advLat: nullish(advLat),
-		advLon: nullish(advLon)
-	});
+	`).run(params);
 }
 
-// store an incoming message (contact or channel)
+// append advert to history unless it repeats the node's latest entry
+function recordAdvertHistory(db, params) {
+
+	const latest = db.prepare(`
+		SELECT id, type, adv_name, last_advert, adv_lat, adv_lon
+		FROM advert_history
+		WHERE public_key = ?
+		ORDER BY id DESC
+		LIMIT 1
+	`).get(params.publicKey);
+
+	const isRepeat = latest
+		&& latest.type === params.type
+		&& latest.adv_name === params.advName
+		&& latest.last_advert === params.lastAdvert
+		&& latest.adv_lat === params.advLat
+		&& latest.adv_lon === params.advLon;
+
+	if (isRepeat) {
+		db.prepare(`
+			UPDATE advert_history
+			SET repeats = repeats + 1, last_heard = strftime('%s','now')
+			WHERE id = ?
+		`).run(latest.id);
+		return;
+	}
+
+	db.prepare(`
+		INSERT INTO advert_history (public_key, type, adv_name, last_advert, adv_lat, adv_lon)
+		VALUES (@publicKey, @type, @advName, @lastAdvert, @advLat, @advLon)
+	`).run(params);
+}
+
+// store a message (contact or channel), incoming by default
+// outgoing rows carry the triggering message id, AI model/usage and a send status
 export function saveMessage({
 	publicKey = null,
 	channelIdx = null,
 	channelName = null,
 	advName = null,
 	senderTimestamp = null,
-	text
+	text,
+	direction = "in",
+	replyTo = null,
+	model = null,
+	usage = null,
+	status = null
 }) {
 
 	const db = initDatabase();
 
-	db.prepare(`
-		INSERT INTO messages (public_key, channel_idx, channel_name, adv_name, sender_timestamp, text, timestamp)
-		VALUES (@publicKey, @channelIdx, @channelName, @advName, @senderTimestamp, @text, strftime('%s','now'))
+	const { lastInsertRowid } = db.prepare(`
+		INSERT INTO messages (
+			public_key, channel_idx, channel_name, adv_name, sender_timestamp, text, timestamp,
+			direction, reply_to, model, prompt_tokens, completion_tokens, total_tokens, status
+		)
+		VALUES (
+			@publicKey, @channelIdx, @channelName, @advName, @senderTimestamp, @text, strftime('%s','now'),
+			@direction, @replyTo, @model, @promptTokens, @completionTokens, @totalTokens, @status
+		)
 	`).run({
 		publicKey: nullish(publicKey),
 		channelIdx: nullish(channelIdx),
 		channelName: nullish(channelName),
 		advName: nullish(advName),
 		senderTimestamp: nullish(senderTimestamp),
-		text: nullish(text)
+		text: nullish(text),
+		direction,
+		replyTo: nullish(replyTo),
+		model: nullish(model),
+		promptTokens: nullish(usage?.prompt_tokens),
+		completionTokens: nullish(usage?.completion_tokens),
+		totalTokens: nullish(usage?.total_tokens),
+		status: nullish(status ?? (direction === "in" ? "received" : null))
 	});
+
+	return Number(lastInsertRowid);
+}
+
+// update send status of an outgoing message
+export function updateMessageStatus(id, status) {
+
+	if (id == null) return;
+
+	const db = initDatabase();
+	db.prepare("UPDATE messages SET status = ? WHERE id = ?").run(status, id);
 }
 
 // fetch recent adverts by name (for fallback resolution)
@@ -130,23 +284,997 @@ export function findAdvertsByName(advName, limit = 3) {
 	`).all(advName, limit);
 }
 
-// fetch all adverts
-export function getAdverts() {
+// nodes whose name matches (case-insensitive, exact names first, then prefix and substring)
+export function findNodesByName(name, limit = 3) {
+
 	const db = initDatabase();
-	return db.prepare("SELECT * FROM adverts").all();
+	return db.prepare(`
+		SELECT public_key, adv_name, type, adv_lat, adv_lon, timestamp
+		FROM adverts
+		WHERE adv_name LIKE '%' || @name || '%' ESCAPE '\\'
+		ORDER BY
+			CASE WHEN adv_name = @raw COLLATE NOCASE THEN 0 WHEN adv_name LIKE @name || '%' ESCAPE '\\' THEN 1 ELSE 2 END,
+			timestamp DESC
+		LIMIT @limit
+	`).all({ name: name.replace(/[\\%_]/g, "\\$&"), raw: name, limit });
+}
+
+// keyset pagination over an integer id column with optional filters
+// results follow `order`; cursor.before / cursor.after are the page's min / max ids
+function paginate(db, { table, idColumn, columns = "*", where = [], params = {}, before, after, order = "desc", limit = 100 }) {
+
+	const filterSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+	const { total } = db.prepare(`SELECT COUNT(*) AS total FROM ${table} ${filterSql}`).get(params);
+
+	const pageWhere = [...where];
+	if (before != null) pageWhere.push(`${idColumn} < @before`);
+	if (after != null) pageWhere.push(`${idColumn} > @after`);
+
+	// walking against the sort order (e.g. newer page of a desc listing) scans reversed, then flips
+	const descending = order !== "asc";
+	const reverseScan = descending ? after != null && before == null : before != null && after == null;
+	const scanDesc = descending !== reverseScan;
+
+	const rows = db.prepare(`
+		SELECT ${columns}
+		FROM ${table}
+		${pageWhere.length ? `WHERE ${pageWhere.join(" AND ")}` : ""}
+		ORDER BY ${idColumn} ${scanDesc ? "DESC" : "ASC"}
+		LIMIT @limit
+	`).all({ ...params, before: nullish(before), after: nullish(after), limit: limit + 1 });
+
+	const hasMore = rows.length > limit;
+	const items = rows.slice(0, limit);
+	if (reverseScan) items.reverse();
+
+	const ids = items.map((row) => row.id);
+
+	return {
+		items,
+		total,
+		hasMore,
+		cursor: {
+			before: ids.length ? Math.min(...ids) : null,
+			after: ids.length ? Math.max(...ids) : null
+		}
+	};
 }
 
-// fetch recent messages (default 100)
-export function getMessages(limit = 100) {
+// collect WHERE clauses for filters that are set
+function filterBuilder() {
+
+	const where = [];
+	const params = {};
+
+	const add = (clause, key, value) => {
+		if (value === undefined || value === null || value === "") return;
+		where.push(clause);
+		params[key] = value;
+	};
+
+	return { where, params, add };
+}
+
+// page through adverts (id = rowid, stable across upserts)
+export function queryAdverts({ publicKey, advName, type, since, until, before, after, order = "desc", limit = 100 } = {}) {
+
 	const db = initDatabase();
-	return db.prepare(`
-		SELECT *
+	const { where, params, add } = filterBuilder();
+
+	add("public_key LIKE @publicKey", "publicKey", publicKey ? `${String(publicKey).toLowerCase()}%` : null);
+	add("adv_name = @advName COLLATE NOCASE", "advName", advName);
+	add("type = @type", "type", type);
+	add("timestamp >= @since", "since", since);
+	add("timestamp <= @until", "until", until);
+
+	const { items, ...page } = paginate(db, {
+		table: "adverts",
+		idColumn: "rowid",
+		columns: "rowid AS id, *",
+		where,
+		params,
+		before,
+		after,
+		order,
+		limit
+	});
+
+	return { adverts: items, ...page };
+}
+
+// page through messages by id with channel/contact/name/time/direction filters
+export function queryMessages({ channelIdx, publicKey, advName, since, until, direction, before, after, order = "desc", limit = 100 } = {}) {
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	add("channel_idx = @channelIdx", "channelIdx", channelIdx);
+	add("public_key LIKE @publicKey", "publicKey", publicKey ? `${String(publicKey).toLowerCase()}%` : null);
+	add("adv_name = @advName COLLATE NOCASE", "advName", advName);
+	add("timestamp >= @since", "since", since);
+	add("timestamp <= @until", "until", until);
+	add("direction = @direction", "direction", direction);
+
+	const { items, ...page } = paginate(db, {
+		table: "messages",
+		idColumn: "id",
+		where,
+		params,
+		before,
+		after,
+		order,
+		limit
+	});
+
+	return { messages: items, ...page };
+}
+
+// page through one node's advert history with changes against the previous entry
+export function queryAdvertHistory({ publicKey, since, until, before, after, order = "desc", limit = 100 }) {
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	params.publicKey = publicKey;
+	add("last_heard >= @since", "since", since);
+	add("first_heard <= @until", "until", until);
+
+	// window over the whole node history so the first row of a page still sees its predecessor
+	const { items, ...page } = paginate(db, {
+		table: `(
+			SELECT *,
+				LAG(id) OVER node AS prev_id,
+				LAG(type) OVER node AS prev_type,
+				LAG(adv_name) OVER node AS prev_adv_name,
+				LAG(adv_lat) OVER node AS prev_adv_lat,
+				LAG(adv_lon) OVER node AS prev_adv_lon
+			FROM advert_history
+			WHERE public_key = @publicKey
+			WINDOW node AS (ORDER BY id)
+		)`,
+		idColumn: "id",
+		where,
+		params,
+		before,
+		after,
+		order,
+		limit
+	});
+
+	const timeline = items.map(({ prev_id, prev_type, prev_adv_name, prev_adv_lat, prev_adv_lon, ...row }) => {
+
+		const changes = [];
+		if (prev_id != null) {
+			if (prev_adv_name !== row.adv_name) changes.push("name");
+			if (prev_type !== row.type) changes.push("type");
+			if (prev_adv_lat !== row.adv_lat || prev_adv_lon !== row.adv_lon) changes.push("position");
+		}
+
+		return { ...row, changes };
+	});
+
+	return { timeline, ...page };
+}
+
+// per-node first/last seen report from advert history
+export function queryNodeSightings({ type, firstSeenSince, lastSeenSince, lastSeenBefore, sort = "last_seen", order = "desc", limit = 100, offset = 0 } = {}) {
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	add("first_seen >= @firstSeenSince", "firstSeenSince", firstSeenSince);
+	add("last_seen >= @lastSeenSince", "lastSeenSince", lastSeenSince);
+	add("last_seen < @lastSeenBefore", "lastSeenBefore", lastSeenBefore);
+	add("type = @type", "type", type);
+
+	const sortColumn = sort === "first_seen" ? "first_seen" : "last_seen";
+	const fromSql = `
+		FROM (
+			SELECT
+				h.public_key,
+				a.adv_name,
+				a.type,
+				a.adv_lat,
+				a.adv_lon,
+				MIN(h.first_heard) AS first_seen,
+				MAX(h.last_heard) AS last_seen,
+				COUNT(*) AS adverts,
+				SUM(h.repeats) AS sightings,
+				COUNT(DISTINCT h.adv_name) AS names
+			FROM advert_history h
+			LEFT JOIN adverts a ON a.public_key = h.public_key
+			GROUP BY h.public_key
+		)
+		${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+	`;
+
+	const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromSql}`).get(params);
+	const nodes = db.prepare(`
+		SELECT * ${fromSql}
+		ORDER BY ${sortColumn} ${order === "asc" ? "ASC" : "DESC"}, public_key
+		LIMIT @limit OFFSET @offset
+	`).all({ ...params, limit, offset });
+
+	return { nodes, total };
+}
+
+// turn free text into an fts5 query: quoted terms joined by AND (or OR when matchAny)
+function ftsQuery(text, matchAny = false) {
+
+	const terms = String(text || "")
+		.split(/\s+/)
+		.map((term) => term.replace(/"/g, "\"\""))
+		.filter(Boolean)
+		.map((term) => `"${term}"`);
+
+	return terms.join(matchAny ? " OR " : " ");
+}
+
+// messages around a hit in the same conversation (channel, or contact when no channel)
+function surroundingMessages(db, hit, count) {
+
+	if (!count) return { before: [], after: [] };
+
+	const scope = hit.channel_idx != null
+		? "channel_idx = @channelIdx"
+		: "public_key IS @publicKey AND channel_idx IS NULL";
+	const params = { id: hit.id, channelIdx: hit.channel_idx, publicKey: hit.public_key, count };
+	const columns = "id, adv_name, text, direction, timestamp";
+
+	const before = db.prepare(`
+		SELECT ${columns} FROM messages WHERE ${scope} AND id < @id ORDER BY id DESC LIMIT @count
+	`).all(params).reverse();
+
+	const after = db.prepare(`
+		SELECT ${columns} FROM messages WHERE ${scope} AND id > @id ORDER BY id ASC LIMIT @count
+	`).all(params);
+
+	return { before, after };
+}
+
+// ranked full-text search with highlighted snippets and surrounding messages
+export function searchMessages({ query, matchAny = false, channelIdx, publicKey, since, until, context = 2, limit = 20, offset = 0 }) {
+
+	const match = ftsQuery(query, matchAny);
+	if (!match) return { hits: [], total: 0 };
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	where.push("messages_fts MATCH @match");
+	params.match = match;
+	add("m.channel_idx = @channelIdx", "channelIdx", channelIdx);
+	add("m.public_key LIKE @publicKey", "publicKey", publicKey ? `${String(publicKey).toLowerCase()}%` : null);
+	add("m.timestamp >= @since", "since", since);
+	add("m.timestamp <= @until", "until", until);
+
+	const fromSql = `
+		FROM messages_fts
+		JOIN messages m ON m.id = messages_fts.rowid
+		WHERE ${where.join(" AND ")}
+	`;
+
+	const { total } = db.prepare(`SELECT COUNT(*) AS total ${fromSql}`).get(params);
+
+	const rows = db.prepare(`
+		SELECT
+			m.id, m.public_key, m.channel_idx, m.channel_name, m.adv_name, m.direction, m.timestamp, m.text,
+			snippet(messages_fts, 0, '<mark>', '</mark>', '…', 16) AS snippet,
+			bm25(messages_fts) AS rank
+		${fromSql}
+		ORDER BY rank
+		LIMIT @limit OFFSET @offset
+	`).all({ ...params, limit, offset });
+
+	const hits = rows.map((hit) => ({ ...hit, context: surroundingMessages(db, hit, context) }));
+
+	return { hits, total };
+}
+
+// fetch the latest messages of one contact or channel conversation (oldest first)
+export function getConversationMessages({ publicKey = null, channelIdx = null, beforeId = null, limit = 10, maxAge = null }) {
+
+	if (publicKey == null && channelIdx == null) return [];
+
+	const db = initDatabase();
+	const rows = db.prepare(`
+		SELECT id, public_key, channel_idx, adv_name, text, direction, timestamp
 		FROM messages
-		ORDER BY datetime(timestamp) DESC, id DESC
+		WHERE ${channelIdx != null ? "channel_idx = @channelIdx" : "public_key = @publicKey AND channel_idx IS NULL"}
+			AND (@beforeId IS NULL OR id < @beforeId)
+			AND (@maxAge IS NULL OR timestamp >= strftime('%s','now') - @maxAge)
+		ORDER BY id DESC
+		LIMIT @limit
+	`).all({
+		publicKey: nullish(publicKey),
+		channelIdx: nullish(channelIdx),
+		beforeId: nullish(beforeId),
+		maxAge: nullish(maxAge),
+		limit
+	});
+
+	return rows.reverse();
+}
+
+// delete expired rows; ages are in seconds, unset/0 limits keep everything
+// conversations are channels (by index) or direct chats (by public key)
+export function pruneDatabase({ messagesMaxAge = 0, messagesMaxPerConversation = 0, advertsMaxAge = 0 } = {}) {
+
+	const db = initDatabase();
+	const deleted = { messages: 0, messagesOverflow: 0, adverts: 0, advertHistory: 0 };
+
+	db.transaction(() => {
+
+		if (messagesMaxAge > 0) {
+			deleted.messages = db.prepare(`
+				DELETE FROM messages WHERE timestamp < strftime('%s','now') - ?
+			`).run(messagesMaxAge).changes;
+		}
+
+		if (messagesMaxPerConversation > 0) {
+			deleted.messagesOverflow = db.prepare(`
+				DELETE FROM messages WHERE id IN (
+					SELECT id FROM (
+						SELECT id, ROW_NUMBER() OVER (
+							PARTITION BY CASE WHEN channel_idx IS NOT NULL THEN 'c' || channel_idx ELSE 'k' || IFNULL(public_key, '') END
+							ORDER BY id DESC
+						) AS position
+						FROM messages
+					)
+					WHERE position > ?
+				)
+			`).run(messagesMaxPerConversation).changes;
+		}
+
+		// nodes not heard within the window disappear with their history
+		if (advertsMaxAge > 0) {
+			deleted.advertHistory = db.prepare(`
+				DELETE FROM advert_history WHERE public_key IN (
+					SELECT public_key FROM adverts WHERE timestamp < strftime('%s','now') - ?
+				)
+			`).run(advertsMaxAge).changes;
+
+			deleted.adverts = db.prepare(`
+				DELETE FROM adverts WHERE timestamp < strftime('%s','now') - ?
+			`).run(advertsMaxAge).changes;
+		}
+	})();
+
+	return deleted;
+}
+
+// fold WAL back into the main file and reclaim free pages
+export function compactDatabase() {
+
+	const db = initDatabase();
+	const [checkpoint] = db.pragma("wal_checkpoint(TRUNCATE)");
+	db.exec("VACUUM");
+
+	return { checkpoint };
+}
+
+// register a webhook; events/channels are comma-separated lists ("*" = all events)
+export function addWebhook({ url, secret, events = "*", channels = null }) {
+
+	const db = initDatabase();
+	const { lastInsertRowid } = db.prepare(`
+		INSERT INTO webhooks (url, secret, events, channels)
+		VALUES (?, ?, ?, ?)
+	`).run(url, secret, events, nullish(channels));
+
+	return getWebhook(Number(lastInsertRowid));
+}
+
+// single webhook by id
+export function getWebhook(id) {
+	const db = initDatabase();
+	return db.prepare("SELECT * FROM webhooks WHERE id = ?").get(id) || null;
+}
+
+// all webhooks with delivery counters
+export function getWebhooks({ enabledOnly = false } = {}) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT w.*,
+			(SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') AS pending,
+			(SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') AS failed,
+			(SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) AS last_delivered_at
+		FROM webhooks w
+		${enabledOnly ? "WHERE w.enabled = 1" : ""}
+		ORDER BY w.id
+	`).all();
+}
+
+// remove webhook and its queued deliveries
+export function removeWebhook(id) {
+
+	const db = initDatabase();
+	return db.transaction(() => {
+		db.prepare("DELETE FROM webhook_deliveries WHERE webhook_id = ?").run(id);
+		return db.prepare("DELETE FROM webhooks WHERE id = ?").run(id).changes > 0;
+	})();
+}
+
+// delete delivered and failed deliveries older than maxAge seconds
+export function purgeWebhookDeliveries(maxAge) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		DELETE FROM webhook_deliveries
+		WHERE status IN ('delivered', 'failed') AND created_at < strftime('%s','now') - ?
+	`).run(maxAge).changes;
+}
+
+// queue an event payload for a webhook
+export function enqueueWebhookDelivery({ webhookId, eventId = null, eventType, payload }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, payload)
+		VALUES (?, ?, ?, ?)
+	`).run(webhookId, nullish(eventId), eventType, payload);
+}
+
+// pending deliveries whose retry time has come (oldest first)
+export function getDueWebhookDeliveries(limit = 10) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT d.*, w.url, w.secret
+		FROM webhook_deliveries d
+		JOIN webhooks w ON w.id = d.webhook_id
+		WHERE d.status = 'pending' AND d.next_attempt_at <= strftime('%s','now')
+		ORDER BY d.next_attempt_at, d.id
+		LIMIT ?
+	`).all(limit);
+}
+
+// record a delivery attempt; retryIn (seconds) keeps it pending, otherwise it is final
+export function updateWebhookDelivery(id, { status, responseStatus = null, error = null, retryIn = null }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		UPDATE webhook_deliveries
+		SET status = @status,
+			attempts = attempts + 1,
+			response_status = @responseStatus,
+			last_error = @error,
+			next_attempt_at = CASE WHEN @retryIn IS NULL THEN next_attempt_at ELSE strftime('%s','now') + @retryIn END,
+			delivered_at = CASE WHEN @status = 'delivered' THEN strftime('%s','now') ELSE delivered_at END
+		WHERE id = @id
+	`).run({ id, status, responseStatus: nullish(responseStatus), error: nullish(error), retryIn: nullish(retryIn) });
+}
+
+// store an outgoing message and queue its parts in one go, returns the message id
+export function queueOutgoingMessage({ message, kind, parts, priority = 0, source = null, dedupeKey = null }) {
+
+	const db = initDatabase();
+	const insertPart = db.prepare(`
+		INSERT INTO outbox (message_id, kind, channel_idx, public_key, text, part, parts, priority, source, dedupe_key)
+		VALUES (@messageId, @kind, @channelIdx, @publicKey, @text, @part, @parts, @priority, @source, @dedupeKey)
+	`);
+
+	return db.transaction(() => {
+
+		const messageId = saveMessage({ ...message, direction: "out", status: "queued" });
+
+		parts.forEach((text, index) => insertPart.run({
+			messageId,
+			kind,
+			channelIdx: nullish(message.channelIdx),
+			publicKey: nullish(message.publicKey),
+			text,
+			part: index + 1,
+			parts: parts.length,
+			priority,
+			source: nullish(source),
+			dedupeKey: nullish(dedupeKey)
+		}));
+
+		return messageId;
+	})();
+}
+
+// queued parts ready to go (highest priority first); later parts wait for earlier ones of the same message
+export function getReadyOutbox(limit = 50) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT o.*
+		FROM outbox o
+		WHERE o.status = 'queued' AND o.next_attempt_at <= strftime('%s','now')
+			AND NOT EXISTS (
+				SELECT 1 FROM outbox p
+				WHERE p.message_id = o.message_id AND p.part < o.part AND p.status NOT IN ('sent', 'delivered')
+			)
+		ORDER BY o.priority DESC, o.id
 		LIMIT ?
 	`).all(limit);
 }
 
+// earliest retry time among queued parts (unix seconds), null when nothing waits
+export function getNextOutboxAttempt() {
+
+	const db = initDatabase();
+	return db.prepare("SELECT MIN(next_attempt_at) AS at FROM outbox WHERE status = 'queued'").get().at ?? null;
+}
+
+// message id of a pending or recently sent message with the same dedupe key
+export function findOutboxDuplicate(dedupeKey, windowSeconds) {
+
+	const db = initDatabase();
+	const row = db.prepare(`
+		SELECT message_id FROM outbox
+		WHERE dedupe_key = @dedupeKey
+			AND (status IN ('queued', 'sending') OR (status IN ('sent', 'delivered') AND created_at >= strftime('%s','now') - @windowSeconds))
+		ORDER BY id DESC
+		LIMIT 1
+	`).get({ dedupeKey, windowSeconds });
+
+	return row?.message_id ?? null;
+}
+
+// record a send attempt or its outcome; retryIn (seconds) delays the next attempt
+export function updateOutboxItem(id, { status, error = null, roundTrip = null, retryIn = null, countAttempt = false, senderTimestamp = null }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		UPDATE outbox
+		SET status = @status,
+			attempts = attempts + @increment,
+			sender_timestamp = COALESCE(sender_timestamp, @senderTimestamp),
+			last_error = CASE WHEN @error IS NULL THEN last_error ELSE @error END,
+			round_trip = CASE WHEN @roundTrip IS NULL THEN round_trip ELSE @roundTrip END,
+			next_attempt_at = CASE WHEN @retryIn IS NULL THEN next_attempt_at ELSE strftime('%s','now') + @retryIn END,
+			sent_at = CASE WHEN @status IN ('sent', 'delivered') THEN strftime('%s','now') ELSE sent_at END
+		WHERE id = @id
+	`).run({ id, status, increment: countAttempt ? 1 : 0, error: nullish(error), roundTrip: nullish(roundTrip), retryIn: nullish(retryIn), senderTimestamp: nullish(senderTimestamp) });
+}
+
+// all parts of a queued message in order
+export function getOutboxParts(messageId) {
+
+	const db = initDatabase();
+	return db.prepare("SELECT * FROM outbox WHERE message_id = ? ORDER BY part").all(messageId);
+}
+
+// cancel parts that have not been sent yet (by outbox id or whole message), returns affected message ids
+export function cancelOutbox({ id = null, messageId = null, status = "cancelled" }) {
+
+	const db = initDatabase();
+	const rows = db.prepare(`
+		UPDATE outbox SET status = @status
+		WHERE status = 'queued' AND (id = @id OR message_id = @messageId)
+		RETURNING message_id
+	`).all({ id: nullish(id), messageId: nullish(messageId), status });
+
+	return [...new Set(rows.map((row) => row.message_id))];
+}
+
+// expire parts queued longer than maxAge seconds, returns affected message ids
+export function expireOutbox(maxAge) {
+
+	const db = initDatabase();
+	const rows = db.prepare(`
+		UPDATE outbox SET status = 'expired'
+		WHERE status = 'queued' AND created_at < strftime('%s','now') - ?
+		RETURNING message_id
+	`).all(maxAge);
+
+	return [...new Set(rows.map((row) => row.message_id))];
+}
+
+// parts interrupted mid-send (restart) go back to the queue
+export function resetOutbox() {
+
+	const db = initDatabase();
+	return db.prepare("UPDATE outbox SET status = 'queued' WHERE status = 'sending'").run().changes;
+}
+
+// drop finished parts older than maxAge seconds
+export function purgeOutbox(maxAge) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		DELETE FROM outbox
+		WHERE status NOT IN ('queued', 'sending') AND created_at < strftime('%s','now') - ?
+	`).run(maxAge).changes;
+}
+
+// list queue rows (optionally by status) with per-status counts
+export function queryOutbox({ status = null, limit = 100 } = {}) {
+
+	const db = initDatabase();
+	const items = db.prepare(`
+		SELECT * FROM outbox
+		WHERE @status IS NULL OR status = @status
+		ORDER BY CASE WHEN status IN ('queued', 'sending') THEN 0 ELSE 1 END, priority DESC, id DESC
+		LIMIT @limit
+	`).all({ status: nullish(status), limit });
+
+	const counts = Object.fromEntries(db.prepare("SELECT status, COUNT(*) AS count FROM outbox GROUP BY status").all()
+		.map((row) => [row.status, row.count]));
+
+	return { items, counts };
+}
+
+// plugin settings rows (enabled null = inherit, config parsed from JSON)
+export function getPluginSettings() {
+
+	const db = initDatabase();
+	return db.prepare("SELECT plugin, scope, enabled, config, updated_at FROM plugin_settings ORDER BY plugin, scope").all()
+		.map((row) => {
+			let config = null;
+			try {
+				config = row.config ? JSON.parse(row.config) : null;
+			} catch {
+				console.log("Invalid plugin config", row.plugin, row.scope);
+			}
+			return { ...row, enabled: row.enabled == null ? null : Boolean(row.enabled), config };
+		});
+}
+
+// create or replace a plugin setting for one scope
+export function savePluginSetting({ plugin, scope = "*", enabled = null, config = null }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		INSERT INTO plugin_settings (plugin, scope, enabled, config, updated_at)
+		VALUES (@plugin, @scope, @enabled, @config, strftime('%s','now'))
+		ON CONFLICT(plugin, scope) DO UPDATE SET
+			enabled = excluded.enabled,
+			config = excluded.config,
+			updated_at = excluded.updated_at
+	`).run({
+		plugin,
+		scope,
+		enabled: enabled == null ? null : Number(Boolean(enabled)),
+		config: config == null ? null : JSON.stringify(config)
+	});
+}
+
+// drop a plugin setting so the scope falls back to wider settings / defaults
+export function removePluginSetting(plugin, scope = "*") {
+
+	const db = initDatabase();
+	return db.prepare("DELETE FROM plugin_settings WHERE plugin = ? AND scope = ?").run(plugin, scope).changes;
+}
+
+// translation routes, optionally for one source channel
+export function getTranslationRoutes({ sourceChannelIdx = null, enabledOnly = false } = {}) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT * FROM translation_routes
+		WHERE (@sourceChannelIdx IS NULL OR source_channel_idx = @sourceChannelIdx)
+			AND (@enabledOnly = 0 OR enabled = 1)
+		ORDER BY source_channel_idx, destination_channel_idx
+	`).all({ sourceChannelIdx: nullish(sourceChannelIdx), enabledOnly: enabledOnly ? 1 : 0 })
+		.map((row) => ({ ...row, detect: Boolean(row.detect), enabled: Boolean(row.enabled) }));
+}
+
+// single translation route by id
+export function getTranslationRoute(id) {
+
+	const db = initDatabase();
+	const row = db.prepare("SELECT * FROM translation_routes WHERE id = ?").get(id);
+	return row ? { ...row, detect: Boolean(row.detect), enabled: Boolean(row.enabled) } : null;
+}
+
+// add a route, returns its id
+export function addTranslationRoute({ sourceChannelIdx, destinationChannelIdx, language, prompt = null, detect = true, enabled = true }) {
+
+	const db = initDatabase();
+	const { lastInsertRowid } = db.prepare(`
+		INSERT INTO translation_routes (source_channel_idx, destination_channel_idx, language, prompt, detect, enabled)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`).run(sourceChannelIdx, destinationChannelIdx, language, nullish(prompt), detect ? 1 : 0, enabled ? 1 : 0);
+
+	return Number(lastInsertRowid);
+}
+
+// change route fields that are set, returns true when the route exists
+export function updateTranslationRoute(id, { language, prompt, detect, enabled }) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		UPDATE translation_routes
+		SET language = COALESCE(@language, language),
+			prompt = CASE WHEN @setPrompt THEN @prompt ELSE prompt END,
+			detect = COALESCE(@detect, detect),
+			enabled = COALESCE(@enabled, enabled)
+		WHERE id = @id
+	`).run({
+		id,
+		language: nullish(language),
+		setPrompt: prompt === undefined ? 0 : 1,
+		prompt: nullish(prompt),
+		detect: detect == null ? null : Number(Boolean(detect)),
+		enabled: enabled == null ? null : Number(Boolean(enabled))
+	}).changes > 0;
+}
+
+// delete a route
+export function removeTranslationRoute(id) {
+
+	const db = initDatabase();
+	return db.prepare("DELETE FROM translation_routes WHERE id = ?").run(id).changes;
+}
+
+// record one AI call in the usage ledger
+export function recordAiUsage({ source = null, publicKey = null, channelIdx = null, caller = null, model = null, promptTokens = 0, completionTokens = 0, totalTokens = 0, cost = 0 }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		INSERT INTO ai_usage (source, public_key, channel_idx, caller, model, prompt_tokens, completion_tokens, total_tokens, cost)
+		VALUES (@source, @publicKey, @channelIdx, @caller, @model, @promptTokens, @completionTokens, @totalTokens, @cost)
+	`).run({
+		source: nullish(source),
+		publicKey: nullish(publicKey),
+		channelIdx: nullish(channelIdx),
+		caller: nullish(caller),
+		model: nullish(model),
+		promptTokens,
+		completionTokens,
+		totalTokens,
+		cost
+	});
+}
+
+// tokens used by a node, channel or caller since a time (unix seconds)
+export function sumAiUsage({ publicKey, channelIdx, caller, since }) {
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	add("public_key = @publicKey", "publicKey", publicKey);
+	add("channel_idx = @channelIdx", "channelIdx", channelIdx);
+	add("caller = @caller", "caller", caller);
+	add("timestamp >= @since", "since", since);
+
+	return db.prepare(`
+		SELECT COUNT(*) AS requests, IFNULL(SUM(total_tokens), 0) AS tokens, IFNULL(SUM(cost), 0) AS cost
+		FROM ai_usage
+		${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+	`).get(params);
+}
+
+// usage grouped by public key, channel, caller, model, source or day
+export function reportAiUsage({ groupBy = "model", publicKey, channelIdx, caller, model, source, since, until, limit = 100 } = {}) {
+
+	const db = initDatabase();
+	const { where, params, add } = filterBuilder();
+
+	add("public_key = @publicKey", "publicKey", publicKey);
+	add("channel_idx = @channelIdx", "channelIdx", channelIdx);
+	add("caller = @caller", "caller", caller);
+	add("model = @model", "model", model);
+	add("source = @source", "source", source);
+	add("timestamp >= @since", "since", since);
+	add("timestamp < @until", "until", until);
+
+	const groupColumns = {
+		publicKey: "public_key",
+		channel: "channel_idx",
+		caller: "caller",
+		model: "model",
+		source: "source",
+		day: "date(timestamp, 'unixepoch')"
+	};
+	const key = groupColumns[groupBy] || groupColumns.model;
+	const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+	const totalsSql = `
+		COUNT(*) AS requests,
+		IFNULL(SUM(prompt_tokens), 0) AS promptTokens,
+		IFNULL(SUM(completion_tokens), 0) AS completionTokens,
+		IFNULL(SUM(total_tokens), 0) AS totalTokens,
+		IFNULL(SUM(cost), 0) AS cost
+	`;
+
+	const rows = db.prepare(`
+		SELECT ${key} AS key, ${totalsSql}
+		FROM ai_usage
+		${whereSql}
+		GROUP BY ${key}
+		ORDER BY ${groupBy === "day" ? "key DESC" : "totalTokens DESC"}
+		LIMIT @limit
+	`).all({ ...params, limit });
+
+	const totals = db.prepare(`SELECT ${totalsSql} FROM ai_usage ${whereSql}`).get(params);
+
+	return { groupBy: groupColumns[groupBy] ? groupBy : "model", rows, totals };
+}
+
+// add a knowledge document with its chunks ([{ heading, text }]); a document with the same title is replaced
+export function saveKnowledgeDocument({ title, source = null, content, chunks }) {
+
+	const db = initDatabase();
+
+	return db.transaction(() => {
+
+		const existing = db.prepare("SELECT id FROM kb_documents WHERE title = ?").get(title);
+		let id = existing?.id;
+
+		if (id) {
+			db.prepare("UPDATE kb_documents SET source = ?, content = ?, updated_at = strftime('%s','now') WHERE id = ?").run(nullish(source), content, id);
+			db.prepare("DELETE FROM kb_chunks WHERE document_id = ?").run(id);
+		} else {
+			id = Number(db.prepare("INSERT INTO kb_documents (title, source, content) VALUES (?, ?, ?)").run(title, nullish(source), content).lastInsertRowid);
+		}
+
+		const insertChunk = db.prepare("INSERT INTO kb_chunks (document_id, position, heading, text) VALUES (?, ?, ?, ?)");
+		chunks.forEach((chunk, position) => insertChunk.run(id, position, nullish(chunk.heading), chunk.text));
+
+		return { id, replaced: Boolean(existing), chunks: chunks.length };
+	})();
+}
+
+// knowledge documents without their content, with chunk counts
+export function getKnowledgeDocuments() {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT d.id, d.title, d.source, length(d.content) AS size, d.created_at, d.updated_at, COUNT(c.id) AS chunks
+		FROM kb_documents d
+		LEFT JOIN kb_chunks c ON c.document_id = d.id
+		GROUP BY d.id
+		ORDER BY d.title
+	`).all();
+}
+
+// single knowledge document with content
+export function getKnowledgeDocument(id) {
+
+	const db = initDatabase();
+	return db.prepare("SELECT * FROM kb_documents WHERE id = ?").get(id) || null;
+}
+
+// delete a knowledge document and its chunks
+export function removeKnowledgeDocument(id) {
+
+	const db = initDatabase();
+
+	return db.transaction(() => {
+		db.prepare("DELETE FROM kb_chunks WHERE document_id = ?").run(id);
+		return db.prepare("DELETE FROM kb_documents WHERE id = ?").run(id).changes;
+	})();
+}
+
+// best matching knowledge chunks for free text (any term), with their document titles
+export function searchKnowledge(text, limit = 3) {
+
+	const match = ftsQuery(text, true);
+	if (!match) return [];
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT c.id, c.document_id, d.title, c.heading, c.text, bm25(kb_chunks_fts) AS rank
+		FROM kb_chunks_fts
+		JOIN kb_chunks c ON c.id = kb_chunks_fts.rowid
+		JOIN kb_documents d ON d.id = c.document_id
+		WHERE kb_chunks_fts MATCH ?
+		ORDER BY rank
+		LIMIT ?
+	`).all(match, limit);
+}
+
+// scheduled job row with parsed params and flags
+function jobRow(row) {
+
+	if (!row) return null;
+
+	let params = null;
+	try {
+		params = row.params ? JSON.parse(row.params) : null;
+	} catch {
+		console.log("Invalid scheduled job params", row.id);
+	}
+
+	return { ...row, params, catch_up: Boolean(row.catch_up), enabled: Boolean(row.enabled) };
+}
+
+// all scheduled jobs
+export function getScheduledJobs() {
+
+	const db = initDatabase();
+	return db.prepare("SELECT * FROM scheduled_jobs ORDER BY id").all().map(jobRow);
+}
+
+// single scheduled job by id
+export function getScheduledJob(id) {
+
+	const db = initDatabase();
+	return jobRow(db.prepare("SELECT * FROM scheduled_jobs WHERE id = ?").get(id));
+}
+
+// enabled jobs whose next run is at or before now (unix seconds), oldest first
+export function getDueScheduledJobs(now) {
+
+	const db = initDatabase();
+	return db.prepare(`
+		SELECT * FROM scheduled_jobs
+		WHERE enabled = 1 AND next_run IS NOT NULL AND next_run <= ?
+		ORDER BY next_run, id
+	`).all(now).map(jobRow);
+}
+
+// add a job, returns its id
+export function addScheduledJob({ name = null, cron, action, params = null, catchUp = true, nextRun }) {
+
+	const db = initDatabase();
+	const { lastInsertRowid } = db.prepare(`
+		INSERT INTO scheduled_jobs (name, cron, action, params, catch_up, next_run)
+		VALUES (?, ?, ?, ?, ?, ?)
+	`).run(nullish(name), cron, action, params == null ? null : JSON.stringify(params), catchUp ? 1 : 0, nullish(nextRun));
+
+	return Number(lastInsertRowid);
+}
+
+// pause or resume a job with its new next run, returns true when the job exists
+export function setScheduledJobEnabled(id, enabled, nextRun = null) {
+
+	const db = initDatabase();
+	return db.prepare("UPDATE scheduled_jobs SET enabled = ?, next_run = ? WHERE id = ?")
+		.run(enabled ? 1 : 0, nullish(nextRun), id).changes > 0;
+}
+
+// store the outcome of a run (or a skipped missed run) and the next run
+export function recordScheduledJobRun(id, { lastRun, nextRun, status, error = null, ran = true }) {
+
+	const db = initDatabase();
+	db.prepare(`
+		UPDATE scheduled_jobs
+		SET last_run = @lastRun, next_run = @nextRun, last_status = @status, last_error = @error, run_count = run_count + @ran
+		WHERE id = @id
+	`).run({ id, lastRun, nextRun: nullish(nextRun), status, error: nullish(error), ran: ran ? 1 : 0 });
+}
+
+// delete a job
+export function removeScheduledJob(id) {
+
+	const db = initDatabase();
+	return db.prepare("DELETE FROM scheduled_jobs WHERE id = ?").run(id).changes;
+}
+
+// report applied and pending migrations; dryRun test-applies pending ones and rolls back
+export function getMigrationStatus({ dryRun = false } = {}) {
+
+	const db = initDatabase();
+	const applied = db.prepare("SELECT version, name, applied_at FROM schema_migrations ORDER BY version").all();
+	const pending = pendingMigrations(db).map(({ version, name, file }) => ({ version, name, file }));
+	const current = applied.length ? applied[applied.length - 1].version : 0;
+	const status = { current, autoMigrate, applied, pending, failed: migrationFailure };
+
+	if (!dryRun) return status;
+
+	const results = [];
+
+	db.exec("BEGIN");
+	try {
+		for (const migration of pending) {
+			try {
+				db.exec(readMigration(migration));
+				results.push({ version: migration.version, name: migration.name, ok: true });
+			} catch (error) {
+				results.push({ version: migration.version, name: migration.name, ok: false, error: error.message });
+				break;
+			}
+		}
+	} finally {
+		db.exec("ROLLBACK");
+	}
+
+	return { ...status, dryRun: results };
+}
+
+// apply pending migrations now; returns the applied ones and the resulting status
+export function applyMigrations() {
+
+	const { applied } = runMigrations(initDatabase());
+	return { applied, status: getMigrationStatus() };
+}
+
 // expose resolved db path (ensures init)
 export function getDatabasePath() {
 	initDatabase();
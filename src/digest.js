@@ -0,0 +1,80 @@
+import * as database from "./database.js";
+import { queryAi } from "./usage.js";
+import { featureParams } from "./aigate.js";
+import { byteLength, truncateBytes, parseEnvNumber } from "./helpers.js";
+import { deliverChannelMessage, deliverContactMessage, messageLimit } from "./messenger.js";
+import { publishEvent } from "./events.js";
+import { getBotName } from "./bot.js";
+
+// look-back window (h), quiet channels below DIGEST_MIN_MESSAGES are skipped, at most DIGEST_MAX_MESSAGES are read
+const digestHours = parseEnvNumber(process.env.DIGEST_HOURS, 12, { positive: true });
+const minMessages = parseEnvNumber(process.env.DIGEST_MIN_MESSAGES, 5);
+const maxMessages = Math.min(parseEnvNumber(process.env.DIGEST_MAX_MESSAGES, 200, { positive: true }), 1000);
+const maxParts = parseEnvNumber(process.env.DIGEST_MAX_PARTS, 2, { positive: true });
+const digestPrompt = process.env.DIGEST_PROMPT
+	|| "Summarise this mesh channel conversation as a compact digest: main topics, open questions and notable events. Name people only when it matters.";
+
+// "HH:MM name: text" lines for the model
+function transcript(messages) {
+
+	const pad = (n) => String(n).padStart(2, "0");
+
+	return messages.map((message) => {
+		const date = new Date(message.timestamp * 1000);
+		return `${pad(date.getHours())}:${pad(date.getMinutes())} ${message.adv_name || "Unknown"}: ${message.text}`;
+	}).join("\n");
+}
+
+// "Digest <channel> <hours>h: " heading of posted digests
+function digestHeading({ channelIdx, channelName, hours }) {
+	return `Digest ${channelName || `#${channelIdx}`} ${hours}h: `;
+}
+
+// summarise the incoming messages of a channel from the last hours,
+// returns { channelIdx, channelName, hours, since, messages, text, model, usage } (text null when too quiet)
+// subject: { source, caller } the AI call is charged to, next to the channel
+export async function summarizeChannel({ channelIdx, hours = digestHours, min = minMessages }, subject = {}) {
+
+	const since = Math.floor(Date.now() / 1000 - hours * 3600);
+	const { messages } = database.queryMessages({ channelIdx, since, direction: "in", order: "desc", limit: maxMessages });
+	const rows = messages.filter((message) => message.text).reverse();
+
+	const channelName = rows.at(-1)?.channel_name || null;
+	const summary = { channelIdx, channelName, hours, since, messages: rows.length, text: null, model: null, usage: null };
+	if (!rows.length || rows.length < min) return summary;
+
+	const budget = Math.max(0, messageLimit * maxParts - byteLength(digestHeading(summary)));
+
+	const { text, model, usage } = await queryAi({
+		...featureParams("digest"),
+		userPrompt: transcript(rows),
+		systemPrompt: `${digestPrompt} Reply in plain text, max ${budget} chars.`,
+		maxTokens: Math.max(80, Math.ceil(budget / 2))
+	}, { source: "digest", channelIdx, ...subject });
+
+	const clean = (text || "").replace(/\s+/g, " ").trim();
+	return { ...summary, text: clean ? truncateBytes(clean, budget) : null, model, usage };
+}
+
+// queue a digest to a channel ({ channelIdx }) or contact ({ publicKey }) and publish bot.digest
+export async function postDigest(summary, target = { channelIdx: summary.channelIdx }) {
+
+	const text = digestHeading(summary) + summary.text;
+	const message = { advName: getBotName(), text, maxParts, priority: "digest", model: summary.model, usage: summary.usage, wait: false };
+
+	const result = target.publicKey
+		? await deliverContactMessage({ ...message, publicKey: target.publicKey })
+		: await deliverChannelMessage({ ...message, channelIdx: target.channelIdx });
+
+	publishEvent("bot.digest", {
+		messageId: result.messageId,
+		sourceChannelIdx: summary.channelIdx,
+		...target,
+		hours: summary.hours,
+		messages: summary.messages,
+		text,
+		status: result.status
+	});
+
+	return { text, ...target, ...result };
+}
@@ -0,0 +1,77 @@
+import { EventEmitter } from "node:events";
+
+// in-process bus for mesh/bot events (SSE stream, integrations)
+const bus = new EventEmitter();
+bus.setMaxListeners(0);
+
+// recent events kept for Last-Event-ID resume
+const bufferSize = Number(process.env.EVENTS_BUFFER) > 0 ? Number(process.env.EVENTS_BUFFER) : 500;
+const recentEvents = [];
+
+// ids start at boot time (ms) so they keep increasing across restarts
+let lastEventId = Date.now();
+
+// event types published on the bus, subscriptions (webhooks) are checked against them
+export const eventTypes = [
+	"message.contact",
+	"message.channel",
+	"advert",
+	"node.new",
+	"bot.reply",
+	"bot.command",
+	"bot.translation",
+	"bot.digest",
+	"scheduler.run",
+	"connection.connected",
+	"connection.disconnected",
+	"connection.error"
+];
+
+// publish an event to all subscribers
+export function publishEvent(type, data = {}) {
+
+	const event = { id: ++lastEventId, type, time: Math.floor(Date.now() / 1000), data };
+
+	recentEvents.push(event);
+	if (recentEvents.length > bufferSize) recentEvents.shift();
+
+	bus.emit("event", event);
+	return event;
+}
+
+// listen for all events, returns unsubscribe function
+export function subscribeEvents(listener) {
+
+	bus.on("event", listener);
+	return () => bus.off("event", listener);
+}
+
+// buffered events newer than the given id
+export function getEventsSince(id) {
+
+	const since = Number(id);
+	if (!Number.isFinite(since)) return [];
+	return recentEvents.filter((event) => event.id > since);
+}
+
+// events carrying direct-message content: contact messages and bot traffic with a contact
+export function isContactEvent(event) {
+
+	if (event.type === "message.contact") return true;
+	return event.type.startsWith("bot.") && event.data?.publicKey != null && event.data?.channelIdx == null;
+}
+
+// valid subscription name: "*", a published type or a prefix of types ("message")
+export function isKnownEventType(name) {
+	return name === "*" || eventTypes.some((type) => type === name || type.startsWith(`${name}.`));
+}
+
+// event filter: types match exactly or as prefix ("message" matches "message.channel"),
+// channels only restrict events that carry a channelIdx, contacts: false drops direct-message events
+export function eventMatches(event, { types = [], channels = [], contacts = true } = {}) {
+
+	if (!contacts && isContactEvent(event)) return false;
+	if (types.length && !types.some((type) => type === "*" || event.type === type || event.type.startsWith(`${type}.`))) return false;
+	if (channels.length && event.data?.channelIdx != null && !channels.includes(Number(event.data.channelIdx))) return false;
+	return true;
+}
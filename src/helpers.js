@@ -38,3 +38,135 @@ export function formatDateTime(seconds) {
 
 	return `${day}.${month}.${year} ${hours}:${minutes}:${secs}`;
 }
+
+// compact age like "45s", "12m 3s", "3h 5m", "2d 4h" (two largest units)
+export function formatAge(seconds) {
+
+	const total = Math.max(0, Math.floor(Number(seconds) || 0));
+	const values = [
+		["d", Math.floor(total / 86400)],
+		["h", Math.floor(total / 3600) % 24],
+		["m", Math.floor(total / 60) % 60],
+		["s", total % 60]
+	];
+
+	const first = values.findIndex(([, value]) => value > 0);
+	if (first === -1) return "0s";
+
+	return values.slice(first, first + 2)
+		.filter(([, value]) => value > 0)
+		.map(([unit, value]) => `${value}${unit}`)
+		.join(" ");
+}
+
+// parse epoch seconds or a date string to epoch seconds (undefined when invalid)
+export function toEpochSeconds(value) {
+
+	if (value === undefined || value === null || value === "") return undefined;
+
+	const num = Number(value);
+	if (Number.isFinite(num)) return Math.floor(num);
+
+	const ms = Date.parse(value);
+	return Number.isFinite(ms) ? Math.floor(ms / 1000) : undefined;
+}
+
+// number from an env variable; fallback when unset or invalid, negative (with positive: also 0) counts as invalid
+// parseEnvNumber(process.env.SEND_RETRIES, 2), parseEnvNumber(process.env.BOT_MAX_PARTS, 3, { positive: true })
+export function parseEnvNumber(value, fallback, { positive = false } = {}) {
+
+	if (value === undefined || value === null || String(value).trim() === "") return fallback;
+
+	const n = Number(value);
+	return Number.isFinite(n) && (positive ? n > 0 : n >= 0) ? n : fallback;
+}
+
+// utf-8 byte length of a string (mesh limits are in bytes, not chars)
+export function byteLength(text) {
+	return Buffer.byteLength(String(text ?? ""), "utf8");
+}
+
+// cut a string to fit maxBytes without breaking a multi-byte character
+export function truncateBytes(text, maxBytes) {
+
+	let result = "";
+	let used = 0;
+
+	for (const char of String(text ?? "")) {
+		const size = byteLength(char);
+		if (used + size > maxBytes) break;
+		result += char;
+		used += size;
+	}
+
+	return result;
+}
+
+// split text into parts of at most maxBytes, breaking on whitespace
+// numbered parts get a " (n/total)" suffix that counts towards the limit
+// with ellipsis, text dropped beyond maxParts is marked by "…" at the end of the last part
+export function splitMessage(text, maxBytes, { numbered = true, maxParts = Infinity, ellipsis = false } = {}) {
+
+	const clean = String(text ?? "").replace(/\s+/g, " ").trim();
+	if (!clean) return [];
+	if (byteLength(clean) <= maxBytes) return [clean];
+
+	// pack words greedily into parts with a reserved suffix budget
+	const pack = (budget) => {
+
+		const parts = [];
+		let current = "";
+
+		for (const word of clean.split(" ")) {
+
+			const candidate = current ? `${current} ${word}` : word;
+			if (byteLength(candidate) <= budget) {
+				current = candidate;
+				continue;
+			}
+
+			if (current) parts.push(current);
+
+			// hard-cut words that exceed a whole part on their own
+			let rest = word;
+			while (byteLength(rest) > budget) {
+				const head = truncateBytes(rest, budget);
+				if (!head) return parts;
+				parts.push(head);
+				rest = rest.slice(head.length);
+			}
+			current = rest;
+		}
+
+		if (current) parts.push(current);
+		return parts;
+	};
+
+	// shorten the last kept part to make room for the marker
+	const markCut = (kept, total, budget) => {
+		if (!ellipsis || total <= kept.length || !kept.length) return kept;
+		const last = kept.length - 1;
+		const cut = truncateBytes(kept[last], budget - byteLength("…"));
+		const word = cut.length < kept[last].length && cut.includes(" ") ? cut.slice(0, cut.lastIndexOf(" ")) : cut;
+		kept[last] = word.trimEnd() + "…";
+		return kept;
+	};
+
+	if (!numbered) {
+		const parts = pack(maxBytes);
+		return markCut(parts.slice(0, maxParts), parts.length, maxBytes);
+	}
+
+	// suffix width depends on the part count, so repack until it settles
+	let parts = pack(maxBytes);
+	for (let attempt = 0; attempt < 3; attempt++) {
+		const total = Math.min(parts.length, maxParts);
+		const suffixBytes = byteLength(` (${total}/${total})`);
+		parts = pack(Math.max(1, maxBytes - suffixBytes));
+		if (Math.min(parts.length, maxParts) === total) break;
+	}
+
+	const count = Math.min(parts.length, maxParts);
+	const kept = markCut(parts.slice(0, maxParts), parts.length, Math.max(1, maxBytes - byteLength(` (${count}/${count})`)));
+	return kept.map((part, index) => `${part} (${index + 1}/${kept.length})`);
+}
@@ -3,7 +3,15 @@ import * as helpers from "./helpers.js";
 import * as database from "./database.js";
 import * as cache from "./cache.js";
 import { nudgeBot, setBotName } from "./bot.js";
-import { queryAiGate } from "./aigate.js";
+import { startPlugins, listPlugins, configurePlugin } from "./plugins.js";
+import { queryAi, isQuotaError, getUsageReport } from "./usage.js";
+import { addDocument, findKnowledge } from "./knowledge.js";
+import { summarizeChannel, postDigest } from "./digest.js";
+import { jobActions, parseCron, addJob, pauseJob, startScheduler, setSchedulerConnected } from "./scheduler.js";
+import { pruneNow, startRetention, getRetentionConfig } from "./retention.js";
+import { publishEvent, subscribeEvents, getEventsSince, eventMatches, eventTypes, isKnownEventType } from "./events.js";
+import { startWebhooks, testWebhook, generateSecret } from "./webhooks.js";
+import { deliverChannelMessage, deliverContactMessage, messageLimit, getQueue, cancelQueued, startOutbox, setOutboxConnected } from "./messenger.js";
 import HttpServer from "./server.js";
 import Constants from "meshcore.js/src/constants.js";
 import NodeJSSerialConnection from "meshcore.js/src/connection/nodejs_serial_connection.js";
@@ -11,17 +19,38 @@ import NodeJSSerialConnection from "meshcore.js/src/connection/nodejs_serial_con
 const httpHost = process.env.HTTP_HOST || "localhost";
 const httpPort = Number(process.env.HTTP_PORT) || 8080;
 const httpApi = process.env.HTTP_API || "/api";
+const httpTokens = parseTokens(process.env.HTTP_TOKENS);
 const meshcoreDevice = process.env.MESHCORE_DEVICE;
 const reconnectDelay = Number(process.env.RECONNECT_DELAY);
 const connection = new NodeJSSerialConnection(meshcoreDevice);
 
-// ensure database is initialized (and migrations applied when forced)
+// ensure database is initialized (pending migrations applied unless SQLITE_AUTO_MIGRATE=false)
 try {
 	database.getDatabasePath();
+
+	const { pending, failed } = database.getMigrationStatus();
+	if (pending.length) console.log("Pending migrations", { pending: pending.map((migration) => migration.file), failed });
 } catch (error) {
 	console.log("Database init failed", error);
 }
 
+// start each subsystem on its own, one failing does not keep the others from starting
+const subsystems = [
+	["Retention", () => startRetention()],
+	["Webhooks", () => startWebhooks()],
+	["Outbox", () => startOutbox(connection)],
+	["Scheduler", () => startScheduler(connection)],
+	["Plugins", () => startPlugins()]
+];
+
+for (const [name, start] of subsystems) {
+	try {
+		await start();
+	} catch (error) {
+		console.log(`${name} start failed`, error);
+	}
+}
+
 let selfInfo = {};
 let isConnected = false;
 let reconnectTimer = null;
@@ -38,9 +67,89 @@ const actionHandlers = {
 	apiGetChannels,
 	apiJoinPrivateChannel,
 	apiRemoveChannel,
+	apiSendChannelMessage,
+	apiSendContactMessage,
+	apiGetQueue,
+	apiCancelQueued,
+	apiGetPlugins,
+	apiSetPlugin,
+	apiGetTranslationRoutes,
+	apiAddTranslationRoute,
+	apiUpdateTranslationRoute,
+	apiRemoveTranslationRoute,
 	apiQueryAiGate,
+	apiGetAiUsage,
+	apiGetKnowledge,
+	apiAddKnowledgeDocument,
+	apiRemoveKnowledgeDocument,
+	apiSearchKnowledge,
+	apiSummarizeChannel,
+	apiGetScheduledJobs,
+	apiAddScheduledJob,
+	apiPauseScheduledJob,
+	apiRemoveScheduledJob,
 	apiGetAdverts,
-	apiGetMessages
+	apiGetNodeTimeline,
+	apiGetNodeSightings,
+	apiGetMessages,
+	apiSearchMessages,
+	apiGetWebhooks,
+	apiAddWebhook,
+	apiTestWebhook,
+	apiRemoveWebhook,
+	apiPruneNow,
+	apiGetMigrations,
+	apiApplyMigrations,
+	apiWhoAmI
+};
+
+// minimum role per action (read < operator < admin); unlisted actions require admin
+const actionPermissions = {
+
+	apiReboot: "admin",
+	apiSyncDeviceTime: "operator",
+	apiSendFloodAdvert: "operator",
+	apiSendZeroHopAdvert: "operator",
+	apiGetContacts: "read",
+	apiGetChannels: "operator",
+	apiJoinPrivateChannel: "admin",
+	apiRemoveChannel: "admin",
+	apiSendChannelMessage: "operator",
+	apiSendContactMessage: "operator",
+	apiGetQueue: "operator",
+	apiCancelQueued: "operator",
+	apiGetPlugins: "operator",
+	apiSetPlugin: "admin",
+	apiGetTranslationRoutes: "operator",
+	apiAddTranslationRoute: "admin",
+	apiUpdateTranslationRoute: "admin",
+	apiRemoveTranslationRoute: "admin",
+	apiQueryAiGate: "operator",
+	apiGetAiUsage: "operator",
+	apiGetKnowledge: "operator",
+	apiAddKnowledgeDocument: "admin",
+	apiRemoveKnowledgeDocument: "admin",
+	apiSearchKnowledge: "operator",
+	apiSummarizeChannel: "operator",
+	apiGetScheduledJobs: "operator",
+	apiAddScheduledJob: "admin",
+	apiPauseScheduledJob: "operator",
+	apiRemoveScheduledJob: "admin",
+	apiGetAdverts: "read",
+	apiGetNodeTimeline: "read",
+	apiGetNodeSightings: "read",
+	apiGetMessages: "read",
+	apiSearchMessages: "read",
+	apiGetWebhooks: "operator",
+	apiAddWebhook: "admin",
+	apiTestWebhook: "admin",
+	apiRemoveWebhook: "admin",
+	apiPruneNow: "admin",
+	apiGetMigrations: "admin",
+	apiApplyMigrations: "admin",
+	apiWhoAmI: "read",
+	apiEvents: "read", // GET event stream
+	apiEventsContact: "admin" // direct messages (and bot replies to them) in the event stream
 };
 
 // start http server
@@ -49,13 +158,38 @@ const httpServer = new HttpServer({
 	host: httpHost,
 	apiPath: httpApi,
 	root: "http",
-	actions: actionHandlers
+	actions: actionHandlers,
+	tokens: httpTokens,
+	permissions: actionPermissions,
+	events: { subscribe: subscribeEvents, since: getEventsSince, matches: eventMatches }
 });
 
 await httpServer.start();
 
 // HTTP API METHODS
 
+// parse HTTP_TOKENS ("token:role,token:role") into { token: role }
+function parseTokens(value) {
+
+	return Object.fromEntries(String(value || "")
+		.split(",")
+		.map((entry) => entry.trim())
+		.filter(Boolean)
+		.map((entry) => {
+			const separator = entry.lastIndexOf(":");
+			return separator > 0 ? [entry.slice(0, separator), entry.slice(separator + 1).trim()] : [entry, "admin"];
+		}));
+}
+
+// caller role and the actions it may use (drives the web UI)
+async function apiWhoAmI(params, auth) {
+
+	console.log("apiWhoAmI", params);
+
+	const actions = Object.keys(actionHandlers).filter((action) => httpServer.isAllowed(auth?.role, action));
+	return { role: auth?.role, authEnabled: httpServer.authEnabled, actions };
+}
+
 // reboot device
 async function apiReboot(params) {
 
@@ -278,8 +412,292 @@ async function apiRemoveChannel(params) {
 	}
 }
 
-// call AI gateway with OpenAI-compatible params
-async function apiQueryAiGate(params) {
+// shared text params for send actions; oversize text needs autoSplit
+function parseSendParams(params) {
+
+	const text = typeof params?.text === "string" ? params.text.trim() : "";
+	const autoSplit = params?.autoSplit === true || params?.autoSplit === "true";
+	const maxParts = Math.min(Math.max(asInteger(params?.maxParts) ?? 5, 1), 10);
+	const wait = !(params?.wait === false || params?.wait === "false");
+
+	if (!text) return { error: "Missing text" };
+	if (!autoSplit && helpers.byteLength(text) > messageLimit) {
+		return { error: `Text exceeds ${messageLimit} bytes (set autoSplit to send in parts)` };
+	}
+
+	return { text, autoSplit, maxParts, wait };
+}
+
+// resolve a contact from publicKey (full key or unique prefix) or advName
+async function resolveContact(params) {
+
+	const publicKey = asText(params?.publicKey)?.replace(/^0x/, "").toLowerCase();
+	const advName = asText(params?.advName);
+
+	if (publicKey) {
+
+		if (!/^[0-9a-f]+$/.test(publicKey) || publicKey.length < 2) return { error: "Invalid publicKey" };
+
+		const matches = await cache.resolveContactsByPrefix(publicKey, connection);
+		if (!matches.length) return { error: "Unknown contact" };
+		if (matches.length > 1) return { error: "Ambiguous publicKey prefix", matches: matches.map((contact) => contact.publicKeyHex) };
+
+		return { contact: matches[0] };
+	}
+
+	if (advName) {
+
+		const contact = await cache.resolveContactByAdvName(advName, connection);
+		return contact ? { contact } : { error: "Unknown contact" };
+	}
+
+	return { error: "Missing publicKey or advName" };
+}
+
+// queue a text message for a channel and wait for the send (wait: false returns once queued)
+async function apiSendChannelMessage(params) {
+
+	console.log("apiSendChannelMessage", params);
+
+	try {
+		if (!isConnected) return { message: "Device not connected" };
+
+		const channelIdx = asInteger(params?.channelIdx);
+		if (channelIdx == null || channelIdx < 0) {
+			return { message: "Invalid channelIdx" };
+		}
+
+		const { text, autoSplit, maxParts, wait, error } = parseSendParams(params);
+		if (error) return { message: error };
+
+		// refuse empty slots, the device would silently drop the message
+		const channel = await connection.getChannel(channelIdx).catch(() => null);
+		const secretHex = helpers.bytesToHex(channel?.secret);
+		if (!channel || (!channel.name && (!secretHex || /^0+$/.test(secretHex)))) {
+			return { message: "Unknown channel" };
+		}
+
+		const result = await deliverChannelMessage({
+			channelIdx,
+			channelName: channel.name || null,
+			advName: selfInfo.name || null,
+			text,
+			split: autoSplit,
+			maxParts,
+			wait
+		});
+
+		return { channelIdx, channelName: channel.name || null, ...result };
+	} catch (error) {
+		console.log("apiSendChannelMessage failed", error);
+		return { message: "Send channel message failed", error: error?.message || String(error) };
+	}
+}
+
+// queue a direct message to a contact and wait for delivery acks (wait: false returns once queued)
+async function apiSendContactMessage(params) {
+
+	console.log("apiSendContactMessage", params);
+
+	try {
+		if (!isConnected) return { message: "Device not connected" };
+
+		const { text, autoSplit, maxParts, wait, error } = parseSendParams(params);
+		if (error) return { message: error };
+
+		const resolved = await resolveContact(params);
+		if (resolved.error) return { message: resolved.error, ...(resolved.matches ? { matches: resolved.matches } : {}) };
+
+		const { contact } = resolved;
+		const publicKey = contact.publicKeyHex || helpers.bytesToHex(contact.publicKey);
+
+		const result = await deliverContactMessage({
+			publicKey,
+			advName: selfInfo.name || null,
+			text,
+			split: autoSplit,
+			maxParts,
+			wait
+		});
+
+		return { publicKey, advName: contact.advName || null, ...result };
+	} catch (error) {
+		console.log("apiSendContactMessage failed", error);
+		return { message: "Send contact message failed", error: error?.message || String(error) };
+	}
+}
+
+// list outgoing queue parts (status: queued, sending, sent, delivered, failed, cancelled, expired)
+async function apiGetQueue(params) {
+
+	console.log("apiGetQueue", params);
+
+	try {
+		const status = asText(params?.status);
+		const limit = Math.min(Math.max(asInteger(params?.limit) ?? 100, 1), 1000);
+		return getQueue({ status, limit });
+	} catch (error) {
+		console.log("apiGetQueue failed", error);
+		return { message: "Get queue failed", error: error?.message || String(error) };
+	}
+}
+
+// cancel queued parts by outbox id or a whole message by messageId
+async function apiCancelQueued(params) {
+
+	console.log("apiCancelQueued", params);
+
+	try {
+		const id = asInteger(params?.id);
+		const messageId = asInteger(params?.messageId);
+		if (id == null && messageId == null) return { message: "Missing id or messageId" };
+
+		const result = cancelQueued({ id, messageId });
+		if (!result.messageIds.length) return { message: "Nothing queued to cancel" };
+
+		return result;
+	} catch (error) {
+		console.log("apiCancelQueued failed", error);
+		return { message: "Cancel queued failed", error: error?.message || String(error) };
+	}
+}
+
+// list bot plugins with their defaults and stored settings
+async function apiGetPlugins(params) {
+
+	console.log("apiGetPlugins", params);
+
+	try {
+		return { plugins: listPlugins() };
+	} catch (error) {
+		console.log("apiGetPlugins failed", error);
+		return { message: "Get plugins failed", error: error?.message || String(error) };
+	}
+}
+
+// enable/disable or configure a plugin everywhere, per channel (channelIdx), or for "contact" / "advert" events
+// reset: true removes the setting so defaults apply again
+async function apiSetPlugin(params) {
+
+	console.log("apiSetPlugin", params);
+
+	try {
+		const name = asText(params?.name);
+		if (!name) return { message: "Missing name" };
+
+		const channelIdx = asInteger(params?.channelIdx);
+		const scope = channelIdx != null ? `channel:${channelIdx}` : (asText(params?.scope) || "*");
+		if (!["*", "contact", "advert"].includes(scope) && !/^channel:\d+$/.test(scope)) return { message: "Invalid scope" };
+
+		let enabled;
+		if (params?.enabled !== undefined) {
+			enabled = params.enabled === null ? null : params.enabled === true || params.enabled === "true";
+		}
+
+		let config = params?.config;
+		if (typeof config === "string") {
+			try {
+				config = JSON.parse(config);
+			} catch {
+				return { message: "Invalid config JSON" };
+			}
+		}
+		if (config !== undefined && config !== null && (typeof config !== "object" || Array.isArray(config))) {
+			return { message: "Config must be an object" };
+		}
+
+		const reset = params?.reset === true || params?.reset === "true";
+		return { scope, plugin: configurePlugin({ name, scope, enabled, config, reset }) };
+	} catch (error) {
+		console.log("apiSetPlugin failed", error);
+		return { message: "Set plugin failed", error: error?.message || String(error) };
+	}
+}
+
+// list translation routes (optionally for one sourceChannelIdx)
+async function apiGetTranslationRoutes(params) {
+
+	console.log("apiGetTranslationRoutes", params);
+
+	try {
+		const sourceChannelIdx = asInteger(params?.sourceChannelIdx);
+		return { routes: database.getTranslationRoutes({ sourceChannelIdx }) };
+	} catch (error) {
+		console.log("apiGetTranslationRoutes failed", error);
+		return { message: "Get translation routes failed", error: error?.message || String(error) };
+	}
+}
+
+// add a route: sourceChannelIdx -> destinationChannelIdx (one or a list) in language, optional prompt ({language} placeholder) and detect
+async function apiAddTranslationRoute(params) {
+
+	console.log("apiAddTranslationRoute", params);
+
+	try {
+		const sourceChannelIdx = asInteger(params?.sourceChannelIdx);
+		const destinations = (Array.isArray(params?.destinationChannelIdx) ? params.destinationChannelIdx : String(params?.destinationChannelIdx ?? "").split(","))
+			.map(asInteger)
+			.filter((idx) => idx != null && idx >= 0);
+		const language = asText(params?.language);
+		const prompt = asText(params?.prompt) ?? null;
+		const detect = !(params?.detect === false || params?.detect === "false");
+
+		if (sourceChannelIdx == null || sourceChannelIdx < 0) return { message: "Invalid sourceChannelIdx" };
+		if (!destinations.length) return { message: "Invalid destinationChannelIdx" };
+		if (destinations.includes(sourceChannelIdx)) return { message: "Destination must differ from source" };
+		if (!language) return { message: "Missing language" };
+
+		const ids = destinations.map((destinationChannelIdx) => database.addTranslationRoute({ sourceChannelIdx, destinationChannelIdx, language, prompt, detect }));
+		return { routes: ids.map((id) => database.getTranslationRoute(id)) };
+	} catch (error) {
+		console.log("apiAddTranslationRoute failed", error);
+		const duplicate = String(error?.code || "").startsWith("SQLITE_CONSTRAINT");
+		return { message: duplicate ? "Route already exists" : "Add translation route failed", error: error?.message || String(error) };
+	}
+}
+
+// change language, prompt (empty string clears it), detect or enabled of a route
+async function apiUpdateTranslationRoute(params) {
+
+	console.log("apiUpdateTranslationRoute", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Missing id" };
+
+		const asFlag = (value) => (value === undefined ? undefined : value === true || value === "true");
+		const updated = database.updateTranslationRoute(id, {
+			language: asText(params?.language),
+			prompt: params?.prompt === undefined ? undefined : asText(params.prompt) ?? null,
+			detect: asFlag(params?.detect),
+			enabled: asFlag(params?.enabled)
+		});
+
+		return updated ? { route: database.getTranslationRoute(id) } : { message: "Unknown route" };
+	} catch (error) {
+		console.log("apiUpdateTranslationRoute failed", error);
+		return { message: "Update translation route failed", error: error?.message || String(error) };
+	}
+}
+
+// delete a translation route
+async function apiRemoveTranslationRoute(params) {
+
+	console.log("apiRemoveTranslationRoute", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Missing id" };
+
+		return database.removeTranslationRoute(id) ? { removed: id } : { message: "Unknown route" };
+	} catch (error) {
+		console.log("apiRemoveTranslationRoute failed", error);
+		return { message: "Remove translation route failed", error: error?.message || String(error) };
+	}
+}
+
+// call AI gateway with OpenAI-compatible params; stream: true relays the answer as SSE "delta" events
+async function apiQueryAiGate(params, auth, stream) {
 
 	console.log("apiQueryAiGate", params);
 
@@ -299,65 +717,560 @@ async function apiQueryAiGate(params) {
 
 		// optional overrides (fallbacks are inside queryAiGate)
 		const systemPrompt = asString(params?.systemPrompt);
+		const provider = asString(params?.provider);
 		const endpoint = asString(params?.endpoint);
 		const apiKey = asString(params?.apiKey);
+
+		// redirecting the gateway (and its credentials) is reserved for admins
+		if ((provider || endpoint || apiKey) && auth?.role !== "admin") {
+			return { message: "provider/endpoint/apiKey overrides require admin role" };
+		}
+
 		const model = asString(params?.model);
 		const temperature = asNumber(params?.temperature);
 		const maxTokens = asNumber(params?.maxTokens);
+		const streaming = Boolean(stream) && (params?.stream === true || params?.stream === "true");
 
-		// delegate to shared AI gateway helper
-		const { text, raw } = await queryAiGate({
+		// delegate to shared AI gateway helper, charged to the calling token
+		const { text, raw } = await queryAi({
 			userPrompt,
 			systemPrompt,
+			provider,
 			endpoint,
 			apiKey,
 			model,
 			temperature,
-			maxTokens
-		});
+			maxTokens,
+			...(streaming ? { onDelta: (delta) => stream.send("delta", { text: delta }), signal: stream.signal } : {})
+		}, { source: "api", caller: auth?.tokenId || "anonymous" });
 
 		return { text, raw };
 	} catch (error) {
+		if (isQuotaError(error)) return { message: "AI quota exceeded", quota: error.quota };
 		console.log("apiQueryAiGate failed", error);
 		return { message: "AI query failed", error: error?.message || String(error) };
 	}
 }
 
-// get stored adverts
+// AI token usage and cost grouped by node, channel, API caller, model, source or day, with quota status
+async function apiGetAiUsage(params) {
+
+	console.log("apiGetAiUsage", params);
+
+	try {
+		return getUsageReport({
+			groupBy: asText(params?.groupBy) || "model",
+			publicKey: asText(params?.publicKey)?.toLowerCase(),
+			channelIdx: asInteger(params?.channelIdx),
+			caller: asText(params?.caller),
+			model: asText(params?.model),
+			source: asText(params?.source),
+			since: helpers.toEpochSeconds(params?.since),
+			until: helpers.toEpochSeconds(params?.until),
+			limit: Math.min(Math.max(asInteger(params?.limit) ?? 100, 1), 1000)
+		});
+	} catch (error) {
+		console.log("apiGetAiUsage failed", error);
+		return { message: "Get AI usage failed", error: error?.message || String(error) };
+	}
+}
+
+// knowledge base documents, or one document with its content by id
+async function apiGetKnowledge(params) {
+
+	console.log("apiGetKnowledge", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { documents: database.getKnowledgeDocuments() };
+
+		const document = database.getKnowledgeDocument(id);
+		return document ? { document } : { message: "Unknown document" };
+	} catch (error) {
+		console.log("apiGetKnowledge failed", error);
+		return { message: "Get knowledge failed", error: error?.message || String(error) };
+	}
+}
+
+// upload a markdown/text document (title, content, optional source); same title replaces it
+async function apiAddKnowledgeDocument(params) {
+
+	console.log("apiAddKnowledgeDocument", { title: params?.title, source: params?.source, size: params?.content?.length });
+
+	try {
+		const title = asText(params?.title);
+		const content = typeof params?.content === "string" ? params.content.trim() : "";
+		if (!title || !content) return { message: "Missing title or content" };
+
+		return addDocument({ title, content, source: asText(params?.source) });
+	} catch (error) {
+		console.log("apiAddKnowledgeDocument failed", error);
+		return { message: "Add knowledge document failed", error: error?.message || String(error) };
+	}
+}
+
+// delete a knowledge document by id
+async function apiRemoveKnowledgeDocument(params) {
+
+	console.log("apiRemoveKnowledgeDocument", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Missing id" };
+
+		return database.removeKnowledgeDocument(id) ? { removed: id } : { message: "Unknown document" };
+	} catch (error) {
+		console.log("apiRemoveKnowledgeDocument failed", error);
+		return { message: "Remove knowledge document failed", error: error?.message || String(error) };
+	}
+}
+
+// chunks the bot would get for a question
+async function apiSearchKnowledge(params) {
+
+	console.log("apiSearchKnowledge", params);
+
+	try {
+		const query = asText(params?.query);
+		if (!query) return { message: "Missing query" };
+
+		return { matches: findKnowledge(query, Math.min(Math.max(asInteger(params?.limit) ?? 3, 1), 50)) };
+	} catch (error) {
+		console.log("apiSearchKnowledge failed", error);
+		return { message: "Search knowledge failed", error: error?.message || String(error) };
+	}
+}
+
+// AI digest of a channel's last hours (channelIdx, hours); post: true also sends it to the channel,
+// or to toChannelIdx / toPublicKey
+async function apiSummarizeChannel(params, auth) {
+
+	console.log("apiSummarizeChannel", params);
+
+	try {
+		const channelIdx = asInteger(params?.channelIdx);
+		if (channelIdx == null || channelIdx < 0) return { message: "Invalid channelIdx" };
+
+		const hours = Number(params?.hours);
+		const post = params?.post === true || params?.post === "true";
+		const toChannelIdx = asInteger(params?.toChannelIdx);
+		const toPublicKey = asText(params?.toPublicKey)?.toLowerCase();
+
+		if (toPublicKey && !/^[0-9a-f]{64}$/.test(toPublicKey)) return { message: "Invalid toPublicKey" };
+		if (post && !isConnected) return { message: "Device not connected" };
+
+		const summary = await summarizeChannel({
+			channelIdx,
+			hours: Number.isFinite(hours) && hours > 0 ? Math.min(hours, 24 * 7) : undefined,
+			min: 1
+		}, { caller: auth?.tokenId || "anonymous" });
+
+		if (!summary.text || !post) return { summary };
+
+		const target = toPublicKey ? { publicKey: toPublicKey } : { channelIdx: toChannelIdx ?? channelIdx };
+		return { summary, posted: await postDigest(summary, target) };
+	} catch (error) {
+		if (isQuotaError(error)) return { message: "AI quota exceeded", quota: error.quota };
+		console.log("apiSummarizeChannel failed", error);
+		return { message: "Summarize channel failed", error: error?.message || String(error) };
+	}
+}
+
+// scheduled jobs with their next and last run, or one job by id
+async function apiGetScheduledJobs(params) {
+
+	console.log("apiGetScheduledJobs", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { jobs: database.getScheduledJobs(), actions: Object.keys(jobActions) };
+
+		const job = database.getScheduledJob(id);
+		return job ? { job } : { message: "Unknown job" };
+	} catch (error) {
+		console.log("apiGetScheduledJobs failed", error);
+		return { message: "Get scheduled jobs failed", error: error?.message || String(error) };
+	}
+}
+
+// add a job: cron (5 fields or @daily etc., server local time), action, params (channel_message: channelIdx, text;
+// channel_digest: channelIdx, hours, toChannelIdx or toPublicKey), also accepted at the top level,
+// optional name and catchUp (default true, run once after missed runs)
+async function apiAddScheduledJob(params) {
+
+	console.log("apiAddScheduledJob", params);
+
+	try {
+		const cron = asText(params?.cron);
+		const action = asText(params?.action);
+		if (!cron) return { message: "Missing cron" };
+		if (!jobActions[action]) return { message: "Unknown action", actions: Object.keys(jobActions) };
+
+		try {
+			parseCron(cron);
+		} catch (error) {
+			return { message: "Invalid cron", error: error.message };
+		}
+
+		const job = addJob({
+			name: asText(params?.name) ?? null,
+			cron,
+			action,
+			params: params?.params ?? {
+				channelIdx: params?.channelIdx,
+				text: params?.text,
+				hours: params?.hours,
+				toChannelIdx: params?.toChannelIdx,
+				toPublicKey: params?.toPublicKey
+			},
+			catchUp: !(params?.catchUp === false || params?.catchUp === "false")
+		});
+
+		return { job };
+	} catch (error) {
+		console.log("apiAddScheduledJob failed", error);
+		return { message: "Add scheduled job failed", error: error?.message || String(error) };
+	}
+}
+
+// pause a job (paused: false resumes it from its next cron time)
+async function apiPauseScheduledJob(params) {
+
+	console.log("apiPauseScheduledJob", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Missing id" };
+
+		const job = pauseJob(id, !(params?.paused === false || params?.paused === "false"));
+		return job ? { job } : { message: "Unknown job" };
+	} catch (error) {
+		console.log("apiPauseScheduledJob failed", error);
+		return { message: "Pause scheduled job failed", error: error?.message || String(error) };
+	}
+}
+
+// delete a scheduled job
+async function apiRemoveScheduledJob(params) {
+
+	console.log("apiRemoveScheduledJob", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Missing id" };
+
+		return database.removeScheduledJob(id) ? { removed: id } : { message: "Unknown job" };
+	} catch (error) {
+		console.log("apiRemoveScheduledJob failed", error);
+		return { message: "Remove scheduled job failed", error: error?.message || String(error) };
+	}
+}
+
+// shared paging params: before/after cursor ids, order and clamped limit
+function parsePageParams(params) {
+
+	const limit = asInteger(params?.limit) ?? 100;
+
+	return {
+		before: asInteger(params?.before),
+		after: asInteger(params?.after),
+		order: params?.order === "asc" ? "asc" : "desc",
+		limit: Math.min(Math.max(limit, 1), 1000),
+		since: helpers.toEpochSeconds(params?.since),
+		until: helpers.toEpochSeconds(params?.until)
+	};
+}
+
+// integer param or undefined
+function asInteger(value) {
+	if (value === undefined || value === null || value === "") return undefined;
+	const num = Number(value);
+	return Number.isInteger(num) ? num : undefined;
+}
+
+// optional trimmed string param
+function asText(value) {
+	return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+// get stored adverts (paged, filterable)
 async function apiGetAdverts(params) {
 
 	console.log("apiGetAdverts", params);
 
 	try {
-		const adverts = database.getAdverts();
-		return { adverts };
+		return database.queryAdverts({
+			...parsePageParams(params),
+			publicKey: asText(params?.publicKey),
+			advName: asText(params?.advName),
+			type: asText(params?.type)
+		});
 	} catch (error) {
 		console.log("apiGetAdverts failed", error);
 		return { message: "Adverts retrieval failed", error: error?.message || String(error) };
 	}
 }
 
-// get stored messages
+// get advert history of one node (paged)
+async function apiGetNodeTimeline(params) {
+
+	console.log("apiGetNodeTimeline", params);
+
+	try {
+		const publicKey = asText(params?.publicKey)?.toLowerCase();
+		if (!publicKey || !/^[0-9a-f]+$/.test(publicKey)) {
+			return { message: "Invalid publicKey" };
+		}
+
+		// accept a unique prefix for convenience
+		const { adverts } = database.queryAdverts({ publicKey, limit: 2 });
+		if (!adverts.length) return { message: "Unknown node" };
+		if (adverts.length > 1 && adverts[0].public_key !== publicKey) return { message: "Ambiguous publicKey prefix" };
+
+		const node = adverts.find((advert) => advert.public_key === publicKey) || adverts[0];
+		const { since, until, ...page } = parsePageParams(params);
+
+		return {
+			node,
+			...database.queryAdvertHistory({ publicKey: node.public_key, since, until, ...page })
+		};
+	} catch (error) {
+		console.log("apiGetNodeTimeline failed", error);
+		return { message: "Node timeline retrieval failed", error: error?.message || String(error) };
+	}
+}
+
+// get nodes first seen / last seen report
+async function apiGetNodeSightings(params) {
+
+	console.log("apiGetNodeSightings", params);
+
+	try {
+		const { limit, order } = parsePageParams(params);
+
+		return database.queryNodeSightings({
+			type: asText(params?.type),
+			firstSeenSince: helpers.toEpochSeconds(params?.firstSeenSince),
+			lastSeenSince: helpers.toEpochSeconds(params?.lastSeenSince),
+			lastSeenBefore: helpers.toEpochSeconds(params?.lastSeenBefore),
+			sort: params?.sort === "first_seen" ? "first_seen" : "last_seen",
+			order,
+			limit,
+			offset: Math.max(asInteger(params?.offset) ?? 0, 0)
+		});
+	} catch (error) {
+		console.log("apiGetNodeSightings failed", error);
+		return { message: "Node sightings retrieval failed", error: error?.message || String(error) };
+	}
+}
+
+// get stored messages (paged, filterable)
 async function apiGetMessages(params) {
 
 	console.log("apiGetMessages", params);
 
 	try {
-		const limit = typeof params?.limit === "number" ? params.limit : 100;
-		const messages = database.getMessages(limit);
-		return { messages };
+		const direction = asText(params?.direction);
+
+		if (direction && direction !== "in" && direction !== "out") {
+			return { message: "Invalid direction (in or out)" };
+		}
+
+		return database.queryMessages({
+			...parsePageParams(params),
+			channelIdx: asInteger(params?.channelIdx),
+			publicKey: asText(params?.publicKey),
+			advName: asText(params?.advName),
+			direction
+		});
 	} catch (error) {
 		console.log("apiGetMessages failed", error);
 		return { message: "Messages retrieval failed", error: error?.message || String(error) };
 	}
 }
 
+// full-text search over stored messages
+async function apiSearchMessages(params) {
+
+	console.log("apiSearchMessages", params);
+
+	try {
+		// plain string params are treated as the query
+		const options = typeof params === "string" ? { query: params } : (params || {});
+		const query = asText(options.query);
+		if (!query) {
+			return { message: "Missing query" };
+		}
+
+		const { since, until, limit } = parsePageParams({ limit: 20, ...options });
+		const context = Math.min(Math.max(asInteger(options.context) ?? 2, 0), 10);
+		const offset = Math.max(asInteger(options.offset) ?? 0, 0);
+
+		return database.searchMessages({
+			query,
+			matchAny: options.match === "any",
+			channelIdx: asInteger(options.channelIdx),
+			publicKey: asText(options.publicKey),
+			since,
+			until,
+			context,
+			limit,
+			offset
+		});
+	} catch (error) {
+		console.log("apiSearchMessages failed", error);
+		return { message: "Message search failed", error: error?.message || String(error) };
+	}
+}
+
+// list webhooks (secrets masked) with delivery counters
+async function apiGetWebhooks(params) {
+
+	console.log("apiGetWebhooks", params);
+
+	try {
+		const webhooks = database.getWebhooks().map(({ secret, ...webhook }) => ({
+			...webhook,
+			secret: secret ? `${secret.slice(0, 4)}…` : ""
+		}));
+
+		return { webhooks };
+	} catch (error) {
+		console.log("apiGetWebhooks failed", error);
+		return { message: "Webhooks retrieval failed", error: error?.message || String(error) };
+	}
+}
+
+// register a webhook: url, events (required, "message.contact,node.new", a prefix like "message" or "*"), channels,
+// secret (generated when omitted)
+async function apiAddWebhook(params) {
+
+	console.log("apiAddWebhook", { ...params, secret: params?.secret ? "***" : undefined });
+
+	try {
+		const url = asText(params?.url);
+
+		let parsedUrl = null;
+		try {
+			parsedUrl = new URL(url);
+		} catch {
+			// handled below
+		}
+
+		if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+			return { message: "Invalid url (http or https required)" };
+		}
+
+		const asList = (value) => Array.isArray(value) ? value.join(",") : asText(value);
+		const channelList = asList(params?.channels);
+
+		// events are required (no default to all, which would include direct messages) and must be known
+		const eventList = (asList(params?.events) || "").split(",").map((name) => name.trim()).filter(Boolean);
+		if (!eventList.length) return { message: "Missing events", eventTypes };
+
+		const unknownEvents = eventList.filter((name) => !isKnownEventType(name));
+		if (unknownEvents.length) return { message: "Unknown events", unknown: unknownEvents, eventTypes };
+
+		const events = eventList.join(",");
+
+		if (channelList && channelList.split(",").some((idx) => !Number.isInteger(Number(idx)))) {
+			return { message: "Invalid channels (comma-separated channel indexes)" };
+		}
+
+		const secret = asText(params?.secret) || generateSecret();
+		const webhook = database.addWebhook({ url: parsedUrl.toString(), secret, events, channels: channelList || null });
+
+		// secret is only shown once, on creation
+		return { webhook };
+	} catch (error) {
+		console.log("apiAddWebhook failed", error);
+		return { message: "Add webhook failed", error: error?.message || String(error) };
+	}
+}
+
+// send a test event to a webhook and report the response
+async function apiTestWebhook(params) {
+
+	console.log("apiTestWebhook", params);
+
+	try {
+		const id = asInteger(params?.id);
+		const webhook = id != null ? database.getWebhook(id) : null;
+		if (!webhook) return { message: "Unknown webhook id" };
+
+		const result = await testWebhook(webhook);
+		return { id, ...result };
+	} catch (error) {
+		console.log("apiTestWebhook failed", error);
+		return { message: "Test webhook failed", error: error?.message || String(error) };
+	}
+}
+
+// delete a webhook and its queued deliveries
+async function apiRemoveWebhook(params) {
+
+	console.log("apiRemoveWebhook", params);
+
+	try {
+		const id = asInteger(params?.id);
+		if (id == null) return { message: "Invalid id" };
+
+		const removed = database.removeWebhook(id);
+		return removed ? { id, message: "Webhook removed" } : { message: "Unknown webhook id" };
+	} catch (error) {
+		console.log("apiRemoveWebhook failed", error);
+		return { message: "Remove webhook failed", error: error?.message || String(error) };
+	}
+}
+
+// run retention pruning immediately (vacuum: true also compacts the database)
+async function apiPruneNow(params) {
+
+	console.log("apiPruneNow", params);
+
+	try {
+		const vacuum = params?.vacuum === true || params?.vacuum === "true";
+		return { ...pruneNow({ vacuum }), retention: getRetentionConfig() };
+	} catch (error) {
+		console.log("apiPruneNow failed", error);
+		return { message: "Pruning failed", error: error?.message || String(error) };
+	}
+}
+
+// get schema migration status (dryRun test-applies pending migrations)
+async function apiGetMigrations(params) {
+
+	console.log("apiGetMigrations", params);
+
+	try {
+		const dryRun = params?.dryRun === true || params?.dryRun === "true";
+		return database.getMigrationStatus({ dryRun });
+	} catch (error) {
+		console.log("apiGetMigrations failed", error);
+		return { message: "Migration status failed", error: error?.message || String(error) };
+	}
+}
+
+// apply pending schema migrations (for SQLITE_AUTO_MIGRATE=false or after a failed one was fixed)
+async function apiApplyMigrations(params) {
+
+	console.log("apiApplyMigrations", params);
+
+	try {
+		return database.applyMigrations();
+	} catch (error) {
+		console.log("apiApplyMigrations failed", error);
+		return { message: "Applying migrations failed", error: error?.message || String(error) };
+	}
+}
+
 // DEVICE EVENTS
 
 // wait on device connection
 connection.on("connected", async () => {
 
 	isConnected = true;
+	setOutboxConnected(true);
 	missingDeviceLogged = false;
 	clearReconnectTimer();
 
@@ -374,6 +1287,7 @@ connection.on("connected", async () => {
 	setBotName(selfInfo.name || null);
 
 	console.log(selfInfo.name + " (" + selfInfo.advType + ") connected on " + meshcoreDevice);
+	publishEvent("connection.connected", { state: "connected", device: meshcoreDevice, name: selfInfo.name, advType: selfInfo.advType });
 
 	// update device clock
 	await connection.syncDeviceTime();
@@ -383,13 +1297,19 @@ connection.on("connected", async () => {
 
 	// send flood advert
 	// await connection.sendFloodAdvert();
+
+	// run due and missed scheduled jobs (recurring adverts use apiAddScheduledJob)
+	setSchedulerConnected(true);
 });
 
 // wait on device disconnection
 connection.on("disconnected", async () => {
 
 	isConnected = false;
+	setOutboxConnected(false);
+	setSchedulerConnected(false);
 	console.log(selfInfo.name + " (" + selfInfo.advType + ") disconnected from " + meshcoreDevice);
+	publishEvent("connection.disconnected", { state: "disconnected", device: meshcoreDevice });
 
 	// reconnect if RECONNECT_DELAY present
 	queueReconnect();
@@ -399,7 +1319,10 @@ connection.on("disconnected", async () => {
 connection.on("error", (error) => {
 
 	isConnected = false;
+	setOutboxConnected(false);
+	setSchedulerConnected(false);
 	console.log("Connection error", error?.message || error);
+	publishEvent("connection.error", { state: "error", device: meshcoreDevice, error: error?.message || String(error) });
 	queueReconnect();
 });
 
@@ -478,8 +1401,9 @@ async function onAdvertReceived(advert) {
 	});
 
 	// save advert in database
+	let isNewNode = false;
 	try {
-		database.upsertAdvert({
+		const saved = database.upsertAdvert({
 			publicKey,
 			type,
 			advName,
@@ -488,6 +1412,7 @@ async function onAdvertReceived(advert) {
 			advLat,
 			advLon
 		});
+		isNewNode = saved.isNew;
 	} catch (error) {
 		console.log("Failed to persist advert", error);
 	}
@@ -505,6 +1430,19 @@ async function onAdvertReceived(advert) {
 		advLon
 	});
 
+	const advertEvent = {
+		publicKey,
+		type,
+		advName,
+		lastAdvert: lastAdvertRaw,
+		lastMod: lastModRaw,
+		advLat,
+		advLon
+	};
+
+	publishEvent("advert", advertEvent);
+	if (isNewNode) publishEvent("node.new", advertEvent);
+
 	await nudgeBot({
 		source: "advert",
 		advName,
@@ -528,9 +1466,10 @@ async function onContactMessageReceived(message) {
 	console.log("Received contact message", contactName, message);
 
 	// save message in database
+	let messageId = null;
 	try {
 		if (contact) cache.cacheContact(contact);
-		database.saveMessage({
+		messageId = database.saveMessage({
 			publicKey: contactPublicKey,
 			advName: contact?.advName || null,
 			senderTimestamp: message.senderTimestamp,
@@ -540,6 +1479,14 @@ async function onContactMessageReceived(message) {
 		console.log("Failed to persist contact message", error);
 	}
 
+	publishEvent("message.contact", {
+		messageId,
+		publicKey: contactPublicKey,
+		advName: contact?.advName || null,
+		senderTimestamp: message.senderTimestamp,
+		text: message.text
+	});
+
 	if (!contact) {
 
 		console.log("Unknown contact");
@@ -551,7 +1498,9 @@ async function onContactMessageReceived(message) {
 		advName: contactName,
 		text: message.text,
 		publicKey: contactPublicKey,
-		senderTimestamp: message.senderTimestamp
+		senderTimestamp: message.senderTimestamp,
+		messageId,
+		connection
 	});
 }
 
@@ -608,8 +1557,9 @@ async function onChannelMessageReceived(message) {
 	}
 
 	// save message in database
+	let messageId = null;
 	try {
-		database.saveMessage({
+		messageId = database.saveMessage({
 			channelIdx: message.channelIdx,
 			channelName,
 			advName,
@@ -621,6 +1571,16 @@ async function onChannelMessageReceived(message) {
 		console.log("Failed to persist channel message", error);
 	}
 
+	publishEvent("message.channel", {
+		messageId,
+		channelIdx: message.channelIdx,
+		channelName,
+		advName,
+		publicKey: contactPublicKey,
+		senderTimestamp: message.senderTimestamp,
+		text: parsedText
+	});
+
 	// engage bot for channel messages (bot handles reply sending)
 	try {
 		await nudgeBot({
@@ -631,6 +1591,7 @@ async function onChannelMessageReceived(message) {
 			channelIdx: message.channelIdx,
 			channelName,
 			senderTimestamp: message.senderTimestamp,
+			messageId,
 			connection
 		});
 	} catch (error) {
@@ -0,0 +1,81 @@
+import * as database from "./database.js";
+import { byteLength, splitMessage, parseEnvNumber } from "./helpers.js";
+
+// chunk size (bytes) for uploaded documents, chunks injected into bot prompts (0 = off)
+const chunkSize = Math.max(200, parseEnvNumber(process.env.KB_CHUNK_SIZE, 800));
+const maxMatches = parseEnvNumber(process.env.KB_MATCHES, 3);
+
+// frequent words that only add noise to the any-term search
+const stopWords = new Set([
+	"the", "and", "for", "are", "was", "were", "what", "when", "where", "which", "who", "whom", "why", "how",
+	"is", "does", "did", "can", "could", "would", "should", "will", "with", "from", "about", "there", "their",
+	"this", "that", "these", "those", "have", "has", "had", "you", "your", "our", "any", "some", "tell", "please"
+]);
+
+// split markdown or plain text into chunks of whole paragraphs under their nearest heading
+// paragraphs longer than a chunk are split on words
+export function chunkDocument(content, size = chunkSize) {
+
+	const chunks = [];
+	let heading = null;
+	let current = [];
+
+	const flush = () => {
+		if (current.length) chunks.push({ heading, text: current.join("\n\n") });
+		current = [];
+	};
+
+	const paragraphs = String(content || "").replace(/\r\n/g, "\n").split(/\n\s*\n/);
+
+	for (const block of paragraphs) {
+
+		const lines = block.trim().split("\n");
+		const headingMatch = lines[0]?.match(/^#{1,6}\s+(.+)$/);
+
+		// a heading starts a new chunk; text under it stays in this block
+		if (headingMatch) {
+			flush();
+			heading = headingMatch[1].trim();
+			lines.shift();
+		}
+
+		const text = lines.join("\n").trim();
+		if (!text) continue;
+
+		for (const piece of byteLength(text) > size ? splitMessage(text, size, { numbered: false }) : [text]) {
+			if (byteLength([...current, piece].join("\n\n")) > size) flush();
+			current.push(piece);
+		}
+	}
+
+	flush();
+	return chunks;
+}
+
+// store (or replace, by title) a document and index its chunks
+export function addDocument({ title, content, source = null }) {
+	return database.saveKnowledgeDocument({ title, source, content, chunks: chunkDocument(content) });
+}
+
+// knowledge chunks matching the content words of a question, best first
+export function findKnowledge(question, limit = maxMatches) {
+
+	if (!limit) return [];
+
+	const terms = (String(question || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+		.filter((term) => term.length > 2 && !stopWords.has(term));
+
+	return terms.length ? database.searchKnowledge(terms.join(" "), limit) : [];
+}
+
+// prompt section with matched chunks, asking the model to cite the titles it used
+export function knowledgePrompt(matches) {
+
+	if (!matches.length) return "";
+
+	const notes = matches
+		.map((match) => `[${match.title}]${match.heading ? ` ${match.heading}` : ""}\n${match.text}`)
+		.join("\n\n");
+
+	return `Local notes, prefer them over general knowledge and cite the titles you used in square brackets, e.g. [${matches[0].title}]:\n\n${notes}`;
+}
@@ -0,0 +1,488 @@
+import crypto from "node:crypto";
+import Constants from "meshcore.js/src/constants.js";
+import * as database from "./database.js";
+import { splitMessage, byteLength, parseEnvNumber } from "./helpers.js";
+
+// per-message size (MeshCore caps a text message at ~160 bytes incl. sender name)
+export const messageLimit = parseEnvNumber(process.env.BOT_MESSAGE_LIMIT, 135, { positive: true });
+
+// queue order: higher goes first
+export const priorities = { operator: 30, reply: 20, translation: 10, digest: 10 };
+
+// rate limits (ms): gap between any two transmissions, gap between messages to the same channel/contact
+const sendInterval = parseEnvNumber(process.env.BOT_SEND_DELAY, 3000, { positive: true });
+const destinationInterval = parseEnvNumber(process.env.SEND_CHANNEL_INTERVAL, 10000);
+
+// airtime budget: estimated ms on air per byte and allowed ms on air per minute (0 = unlimited)
+const airtimePerByte = parseEnvNumber(process.env.SEND_AIRTIME_PER_BYTE, 8);
+const airtimeBudget = parseEnvNumber(process.env.SEND_AIRTIME_BUDGET, 6000);
+const airtimeWindow = 60000;
+const packetOverhead = 16;
+
+// identical text to the same destination within this many seconds is dropped
+const dedupeWindow = parseEnvNumber(process.env.SEND_DEDUPE_WINDOW, 60);
+
+// queued parts older than this (s) expire, finished parts are kept for a day
+const queueMaxAge = parseEnvNumber(process.env.SEND_QUEUE_MAX_AGE, 3600, { positive: true });
+const queueKeep = 86400;
+
+// delivery tracking defaults (ack timeout falls back when device gives no estimate)
+const sendRetries = parseEnvNumber(process.env.SEND_RETRIES, 2);
+const ackTimeoutFallback = parseEnvNumber(process.env.SEND_ACK_TIMEOUT, 15000, { positive: true });
+const retryDelay = parseEnvNumber(process.env.SEND_RETRY_DELAY, 5000, { positive: true });
+
+// expected ack crc -> { resolve, timer }
+const pendingAcks = new Map();
+const watchedConnections = new WeakSet();
+
+// queue worker state
+let activeConnection = null;
+let isConnected = false;
+let pumping = false;
+let pumpTimer = null;
+let pumpDueAt = 0;
+let lastSendAt = 0;
+let expireTimer = null;
+const lastSendByDestination = new Map();
+const recentAirtime = [];
+
+// message id -> resolvers waiting for the final result
+const waiters = new Map();
+
+// subscribe once per connection to delivery confirmations
+function watchAcks(connection) {
+
+	if (watchedConnections.has(connection)) return;
+	watchedConnections.add(connection);
+
+	connection.on(Constants.PushCodes.SendConfirmed, ({ ackCode, roundTrip }) => {
+
+		const pending = pendingAcks.get(ackCode);
+		if (!pending) return;
+
+		clearTimeout(pending.timer);
+		pendingAcks.delete(ackCode);
+		pending.resolve({ acked: true, roundTrip });
+	});
+}
+
+// resolve with ack result or timeout, whichever comes first
+function waitForAck(ackCode, timeout) {
+
+	return new Promise((resolve) => {
+
+		const timer = setTimeout(() => {
+			pendingAcks.delete(ackCode);
+			resolve({ acked: false, roundTrip: null });
+		}, timeout);
+
+		pendingAcks.set(ackCode, { resolve, timer });
+	});
+}
+
+// send one attempt of a direct message with the device's attempt counter; resends keep the first
+// attempt's timestamp so the recipient sees one retried message (meshcore.js sendTextMessage always sends attempt 0)
+function sendTextAttempt(connection, publicKey, text, attempt, senderTimestamp) {
+
+	return new Promise((resolve, reject) => {
+
+		const cleanup = () => {
+			connection.off(Constants.ResponseCodes.Sent, onSent);
+			connection.off(Constants.ResponseCodes.Err, onErr);
+		};
+		const onSent = (response) => {
+			cleanup();
+			resolve(response);
+		};
+		const onErr = () => {
+			cleanup();
+			reject();
+		};
+
+		connection.once(Constants.ResponseCodes.Sent, onSent);
+		connection.once(Constants.ResponseCodes.Err, onErr);
+
+		connection.sendCommandSendTxtMsg(Constants.TxtTypes.Plain, attempt, senderTimestamp, publicKey, text).catch((error) => {
+			cleanup();
+			reject(error);
+		});
+	});
+}
+
+// accept hex string or byte array for public keys
+function toPublicKeyBytes(publicKey) {
+
+	if (typeof publicKey === "string") return Buffer.from(publicKey.replace(/^0x/, ""), "hex");
+	return publicKey;
+}
+
+// size text for the mesh: numbered parts when split is allowed, otherwise one part within the limit
+function prepareParts(text, { split = true, maxParts = Infinity } = {}) {
+
+	const clean = String(text ?? "").trim();
+	if (!clean) throw new Error("Missing text");
+
+	if (!split) {
+		if (byteLength(clean) > messageLimit) throw new Error(`Text exceeds ${messageLimit} bytes`);
+		return [clean];
+	}
+
+	const parts = splitMessage(clean, messageLimit, { maxParts, ellipsis: true });
+
+	// parts beyond maxParts are dropped, the last kept one ends with "…"
+	if (parts.length === maxParts && splitMessage(clean, messageLimit).length > maxParts) {
+		console.log("messenger: text truncated to max parts", { maxParts, bytes: byteLength(clean) });
+	}
+
+	return parts;
+}
+
+// channel index or public key as a rate limit key
+function destinationKey({ kind, channel_idx, public_key }) {
+	return kind === "channel" ? `c${channel_idx}` : `k${String(public_key).toLowerCase()}`;
+}
+
+// estimated time on air (ms) for one part
+function estimateAirtime(text) {
+	return (byteLength(text) + packetOverhead) * airtimePerByte;
+}
+
+// ms until the global gap and the airtime budget allow sending this part
+function globalWait(item, now) {
+
+	let waitMs = Math.max(0, lastSendAt + sendInterval - now);
+
+	while (recentAirtime.length && recentAirtime[0].at <= now - airtimeWindow) recentAirtime.shift();
+
+	if (airtimeBudget > 0 && recentAirtime.length) {
+
+		let used = recentAirtime.reduce((sum, entry) => sum + entry.airtime, 0) + estimateAirtime(item.text);
+
+		// wait for the oldest transmissions to leave the window
+		for (const entry of recentAirtime) {
+			if (used <= airtimeBudget) break;
+			used -= entry.airtime;
+			waitMs = Math.max(waitMs, entry.at + airtimeWindow - now);
+		}
+	}
+
+	return waitMs;
+}
+
+// remember a transmission for rate limiting
+function recordTransmission(item) {
+
+	const now = Date.now();
+	lastSendAt = now;
+	lastSendByDestination.set(destinationKey(item), now);
+	recentAirtime.push({ at: now, airtime: estimateAirtime(item.text) });
+}
+
+// pick the next part to send, or how long to wait for one
+function nextItem() {
+
+	const now = Date.now();
+	let waitMs = null;
+
+	for (const item of database.getReadyOutbox()) {
+
+		// follow-up parts only obey the global limits, new messages also the per-destination gap
+		if (item.part === 1 && destinationInterval > 0) {
+			const lastAt = lastSendByDestination.get(destinationKey(item)) || 0;
+			const destinationWait = lastAt + destinationInterval - now;
+			if (destinationWait > 0) {
+				waitMs = waitMs == null ? destinationWait : Math.min(waitMs, destinationWait);
+				continue;
+			}
+		}
+
+		const wait = globalWait(item, now);
+		if (wait > 0) return { waitMs: waitMs == null ? wait : Math.min(waitMs, wait) };
+
+		return { item };
+	}
+
+	// nothing ready, wake up for the next retry
+	const nextAttempt = database.getNextOutboxAttempt();
+	if (nextAttempt != null) {
+		const retryWait = Math.max(1000, nextAttempt * 1000 - now);
+		waitMs = waitMs == null ? retryWait : Math.min(waitMs, retryWait);
+	}
+
+	return { waitMs };
+}
+
+// run the worker after delay ms (earliest request wins)
+function schedulePump(delay = 0) {
+
+	if (pumpTimer) {
+		if (pumpDueAt <= Date.now() + delay) return;
+		clearTimeout(pumpTimer);
+	}
+
+	pumpDueAt = Date.now() + delay;
+	pumpTimer = setTimeout(() => {
+		pumpTimer = null;
+		pump();
+	}, delay);
+}
+
+// send queued parts one at a time while connected, honoring the rate limits
+async function pump() {
+
+	if (pumping || !activeConnection || !isConnected) return;
+	pumping = true;
+
+	try {
+		expireStale();
+
+		while (isConnected) {
+
+			const { item, waitMs } = nextItem();
+
+			if (!item) {
+				if (waitMs != null) schedulePump(waitMs);
+				break;
+			}
+
+			await sendItem(item);
+		}
+	} catch (error) {
+		console.log("messenger: queue worker failed", error);
+		schedulePump(retryDelay);
+	} finally {
+		pumping = false;
+	}
+}
+
+// transmit one part; direct messages are confirmed by ack in the background
+async function sendItem(item) {
+
+	const senderTimestamp = item.sender_timestamp ?? Math.floor(Date.now() / 1000);
+	database.updateOutboxItem(item.id, { status: "sending", senderTimestamp });
+
+	try {
+		if (item.kind === "channel") {
+
+			await activeConnection.sendChannelTextMessage(item.channel_idx, item.text);
+			recordTransmission(item);
+			database.updateOutboxItem(item.id, { status: "sent", countAttempt: true });
+			return finishIfComplete(item.message_id);
+		}
+
+		watchAcks(activeConnection);
+
+		// the device keeps 2 bits of the attempt counter
+		const attempt = Math.min(item.attempts, 3);
+		const sent = await sendTextAttempt(activeConnection, toPublicKeyBytes(item.public_key), item.text, attempt, senderTimestamp);
+		recordTransmission(item);
+
+		const timeout = sent?.estTimeout > 0 ? sent.estTimeout * 2 : ackTimeoutFallback;
+		waitForAck(sent?.expectedAckCrc, timeout).then(({ acked, roundTrip }) => {
+
+			if (acked) {
+				database.updateOutboxItem(item.id, { status: "delivered", roundTrip, countAttempt: true });
+				finishIfComplete(item.message_id);
+			} else {
+				console.log("messenger: no ack", { id: item.id, part: item.part, timeout });
+				retryOrFail(item, "No ack");
+			}
+
+			schedulePump();
+		}).catch((error) => console.log("messenger: ack handling failed", error));
+	} catch (error) {
+		// meshcore.js rejects without a reason on device errors
+		const message = error?.message || "Device rejected message";
+		console.log("messenger: send failed", { id: item.id, part: item.part, error: message });
+
+		// lost connection: keep the attempt for after reconnect
+		if (!isConnected) return database.updateOutboxItem(item.id, { status: "queued", error: message });
+
+		retryOrFail(item, message);
+	}
+}
+
+// requeue a part after a failed attempt, or give up on the rest of its message
+function retryOrFail(item, error) {
+
+	const attempts = item.attempts + 1;
+
+	if (attempts <= sendRetries) {
+		database.updateOutboxItem(item.id, { status: "queued", error, retryIn: Math.ceil(retryDelay / 1000), countAttempt: true });
+		return;
+	}
+
+	database.updateOutboxItem(item.id, { status: "failed", error, countAttempt: true });
+
+	// the rest would arrive out of context
+	database.cancelOutbox({ messageId: item.message_id });
+	finishIfComplete(item.message_id);
+}
+
+// expire parts that waited too long (e.g. long outage)
+function expireStale() {
+
+	for (const messageId of database.expireOutbox(queueMaxAge)) finishIfComplete(messageId);
+}
+
+// on disconnect, callers waiting for delivery get the queue state; the parts stay queued for after reconnect
+function releaseWaiters() {
+
+	for (const [messageId, resolvers] of waiters) {
+		const parts = database.getOutboxParts(messageId).map((row) => row.text);
+		for (const resolve of resolvers) resolve({ messageId, parts, status: "queued", error: "Device disconnected" });
+	}
+
+	waiters.clear();
+}
+
+// once no part is pending: store the message status and resolve waiters
+function finishIfComplete(messageId) {
+
+	const rows = database.getOutboxParts(messageId);
+	if (!rows.length || rows.some((row) => row.status === "queued" || row.status === "sending")) return null;
+
+	const kind = rows[0].kind;
+	const done = rows.filter((row) => row.status === "sent" || row.status === "delivered").length;
+	const unsent = rows.find((row) => row.status === "cancelled" || row.status === "expired");
+	const error = rows.find((row) => row.status === "failed")?.last_error || null;
+
+	let status = done === rows.length ? (kind === "channel" ? "sent" : "delivered") : (done ? "partial" : "failed");
+	if (!done && !error && unsent) status = unsent.status;
+
+	database.updateMessageStatus(messageId, status);
+
+	const parts = rows.map((row) => row.text);
+	const result = kind === "channel"
+		? { messageId, parts, sent: done, status, error }
+		: {
+			messageId,
+			parts,
+			delivered: done,
+			status,
+			deliveries: rows.map((row) => ({
+				part: row.part,
+				acked: row.status === "delivered",
+				roundTrip: row.round_trip,
+				attempts: row.attempts,
+				status: row.status,
+				error: row.last_error
+			}))
+		};
+
+	for (const resolve of waiters.get(messageId) || []) resolve(result);
+	waiters.delete(messageId);
+
+	database.purgeOutbox(queueKeep);
+	return result;
+}
+
+// queue a message (or detect a duplicate); wait resolves with the final result, otherwise returns the queue state
+// (also while disconnected: waiters are only released on disconnect, a later one would wait for SEND_QUEUE_MAX_AGE)
+async function enqueue({ kind, message, text, split, maxParts, priority = "operator", wait = true }) {
+
+	const parts = prepareParts(text, { split, maxParts });
+	const destination = kind === "channel" ? `c${message.channelIdx}` : `k${String(message.publicKey).toLowerCase()}`;
+	const dedupeKey = crypto.createHash("sha1").update(`${destination}:${String(text).trim()}`).digest("hex");
+
+	const duplicateOf = dedupeWindow > 0 ? database.findOutboxDuplicate(dedupeKey, dedupeWindow) : null;
+	if (duplicateOf != null) return { messageId: null, duplicateOf, parts, status: "duplicate" };
+
+	const messageId = database.queueOutgoingMessage({
+		message: { ...message, text: String(text).trim() },
+		kind,
+		parts,
+		priority: typeof priority === "number" ? priority : (priorities[priority] ?? 0),
+		source: typeof priority === "string" ? priority : null,
+		dedupeKey
+	});
+
+	const done = wait && isConnected ? new Promise((resolve) => waiters.set(messageId, [...(waiters.get(messageId) || []), resolve])) : null;
+	schedulePump();
+
+	return done || { messageId, parts, status: "queued", ...(wait && !isConnected ? { error: "Device disconnected" } : {}) };
+}
+
+// queue text for a channel (split and rate limited), stored as outgoing with final status
+// advName is the sending node name, replyTo/model/usage describe what triggered the message
+export function deliverChannelMessage({ channelIdx, channelName = null, advName = null, text, split, maxParts, replyTo = null, model = null, usage = null, priority, wait }) {
+
+	if (channelIdx == null) throw new Error("Missing channel index");
+
+	return enqueue({
+		kind: "channel",
+		message: { channelIdx, channelName, advName, replyTo, model, usage },
+		text,
+		split,
+		maxParts,
+		priority,
+		wait
+	});
+}
+
+// queue a direct message (split and rate limited); each part waits for the previous part's ack,
+// the rest is dropped at the first undelivered part
+export function deliverContactMessage({ publicKey, advName = null, text, split, maxParts, replyTo = null, model = null, usage = null, priority, wait }) {
+
+	if (!publicKey) throw new Error("Missing public key");
+
+	return enqueue({
+		kind: "contact",
+		message: { publicKey: String(publicKey).toLowerCase(), advName, replyTo, model, usage },
+		text,
+		split,
+		maxParts,
+		priority,
+		wait
+	});
+}
+
+// list queued and recent parts with counts and limits
+export function getQueue({ status = null, limit = 100 } = {}) {
+
+	return {
+		...database.queryOutbox({ status, limit }),
+		connected: isConnected,
+		limits: { sendInterval, destinationInterval, airtimePerByte, airtimeBudget, dedupeWindow, queueMaxAge }
+	};
+}
+
+// cancel queued parts by outbox id or message id, resolving affected waiters
+export function cancelQueued({ id = null, messageId = null }) {
+
+	const messageIds = database.cancelOutbox({ id, messageId });
+	const results = messageIds.map((affected) => finishIfComplete(affected)).filter(Boolean);
+
+	return { messageIds, finished: results.map((result) => ({ messageId: result.messageId, status: result.status })) };
+}
+
+// bind the device connection; parts interrupted by a restart are queued again
+export function startOutbox(connection) {
+
+	activeConnection = connection;
+	watchAcks(connection);
+
+	const requeued = database.resetOutbox();
+	if (requeued) console.log("messenger: requeued interrupted parts", requeued);
+
+	// expire stale parts while disconnected too (the worker only runs while connected)
+	if (!expireTimer) {
+		expireTimer = setInterval(() => {
+			try {
+				expireStale();
+			} catch (error) {
+				console.log("messenger: expiring queue failed", error);
+			}
+		}, 60000);
+		expireTimer.unref?.();
+	}
+}
+
+// pause or resume the worker with the device connection
+export function setOutboxConnected(connected) {
+
+	isConnected = Boolean(connected);
+
+	if (isConnected) schedulePump();
+	else releaseWaiters();
+}
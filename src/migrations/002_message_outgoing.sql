@@ -0,0 +1,11 @@
+-- outgoing messages, AI metadata and send status
+
+ALTER TABLE messages ADD COLUMN direction TEXT DEFAULT 'in';
+ALTER TABLE messages ADD COLUMN reply_to INTEGER;
+ALTER TABLE messages ADD COLUMN model TEXT;
+ALTER TABLE messages ADD COLUMN prompt_tokens INTEGER;
+ALTER TABLE messages ADD COLUMN completion_tokens INTEGER;
+ALTER TABLE messages ADD COLUMN total_tokens INTEGER;
+ALTER TABLE messages ADD COLUMN status TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to);
@@ -0,0 +1,6 @@
+-- indexes for filtered message/advert queries
+
+CREATE INDEX IF NOT EXISTS idx_messages_public_key ON messages(public_key);
+CREATE INDEX IF NOT EXISTS idx_messages_adv_name ON messages(adv_name COLLATE NOCASE);
+CREATE INDEX IF NOT EXISTS idx_messages_timestamp ON messages(timestamp);
+CREATE INDEX IF NOT EXISTS idx_adverts_timestamp ON adverts(timestamp);
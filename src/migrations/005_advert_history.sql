@@ -0,0 +1,22 @@
+-- every distinct advert per node; identical repeats only bump last_heard/repeats
+
+CREATE TABLE IF NOT EXISTS advert_history (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	public_key TEXT NOT NULL,
+	type TEXT,
+	adv_name TEXT,
+	last_advert INTEGER,
+	adv_lat TEXT,
+	adv_lon TEXT,
+	first_heard INTEGER DEFAULT (strftime('%s','now')),
+	last_heard INTEGER DEFAULT (strftime('%s','now')),
+	repeats INTEGER DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_advert_history_public_key ON advert_history(public_key, id);
+CREATE INDEX IF NOT EXISTS idx_advert_history_last_heard ON advert_history(last_heard);
+
+-- seed with the latest known advert of each node
+INSERT INTO advert_history (public_key, type, adv_name, last_advert, adv_lat, adv_lon, first_heard, last_heard)
+SELECT public_key, type, adv_name, last_advert, adv_lat, adv_lon, timestamp, timestamp
+FROM adverts;
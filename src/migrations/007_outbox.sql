@@ -0,0 +1,26 @@
+-- persistent outbound queue; one row per mesh message part
+
+CREATE TABLE IF NOT EXISTS outbox (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	message_id INTEGER,
+	kind TEXT NOT NULL,
+	channel_idx INTEGER,
+	public_key TEXT,
+	text TEXT NOT NULL,
+	part INTEGER NOT NULL DEFAULT 1,
+	parts INTEGER NOT NULL DEFAULT 1,
+	priority INTEGER NOT NULL DEFAULT 0,
+	source TEXT,
+	dedupe_key TEXT,
+	status TEXT NOT NULL DEFAULT 'queued',
+	attempts INTEGER NOT NULL DEFAULT 0,
+	next_attempt_at INTEGER DEFAULT (strftime('%s','now')),
+	round_trip INTEGER,
+	last_error TEXT,
+	created_at INTEGER DEFAULT (strftime('%s','now')),
+	sent_at INTEGER
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbox_status ON outbox(status, priority, id);
+CREATE INDEX IF NOT EXISTS idx_outbox_message ON outbox(message_id, part);
+CREATE INDEX IF NOT EXISTS idx_outbox_dedupe ON outbox(dedupe_key, created_at);
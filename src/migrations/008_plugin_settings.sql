@@ -0,0 +1,10 @@
+-- per-plugin enable flag and config; scope is "*" (everywhere), "contact", "advert" or "channel:<idx>"
+
+CREATE TABLE IF NOT EXISTS plugin_settings (
+	plugin TEXT NOT NULL,
+	scope TEXT NOT NULL DEFAULT '*',
+	enabled INTEGER,
+	config TEXT,
+	updated_at INTEGER DEFAULT (strftime('%s','now')),
+	PRIMARY KEY (plugin, scope)
+);
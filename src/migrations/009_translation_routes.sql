@@ -0,0 +1,13 @@
+-- translation bridge: source channel -> destination channel in a target language
+
+CREATE TABLE IF NOT EXISTS translation_routes (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	source_channel_idx INTEGER NOT NULL,
+	destination_channel_idx INTEGER NOT NULL,
+	language TEXT NOT NULL,
+	prompt TEXT,
+	detect INTEGER NOT NULL DEFAULT 1,
+	enabled INTEGER NOT NULL DEFAULT 1,
+	created_at INTEGER DEFAULT (strftime('%s','now')),
+	UNIQUE (source_channel_idx, destination_channel_idx)
+);
@@ -0,0 +1,20 @@
+-- AI usage ledger: one row per gateway call, attributed to a node, channel and/or API caller
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	timestamp INTEGER DEFAULT (strftime('%s','now')),
+	source TEXT,
+	public_key TEXT,
+	channel_idx INTEGER,
+	caller TEXT,
+	model TEXT,
+	prompt_tokens INTEGER NOT NULL DEFAULT 0,
+	completion_tokens INTEGER NOT NULL DEFAULT 0,
+	total_tokens INTEGER NOT NULL DEFAULT 0,
+	cost REAL NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_public_key ON ai_usage(public_key, timestamp);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_channel ON ai_usage(channel_idx, timestamp);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_caller ON ai_usage(caller, timestamp);
+CREATE INDEX IF NOT EXISTS idx_ai_usage_timestamp ON ai_usage(timestamp);
@@ -0,0 +1,36 @@
+-- knowledge base: uploaded documents split into chunks, chunks full-text indexed for retrieval
+
+CREATE TABLE IF NOT EXISTS kb_documents (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	title TEXT NOT NULL UNIQUE,
+	source TEXT,
+	content TEXT NOT NULL,
+	created_at INTEGER DEFAULT (strftime('%s','now')),
+	updated_at INTEGER DEFAULT (strftime('%s','now'))
+);
+
+CREATE TABLE IF NOT EXISTS kb_chunks (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	document_id INTEGER NOT NULL,
+	position INTEGER NOT NULL,
+	heading TEXT,
+	text TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_kb_chunks_document ON kb_chunks(document_id, position);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS kb_chunks_fts USING fts5(
+	heading,
+	text,
+	content = 'kb_chunks',
+	content_rowid = 'id',
+	tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS kb_chunks_fts_insert AFTER INSERT ON kb_chunks BEGIN
+	INSERT INTO kb_chunks_fts (rowid, heading, text) VALUES (new.id, new.heading, new.text);
+END;
+
+CREATE TRIGGER IF NOT EXISTS kb_chunks_fts_delete AFTER DELETE ON kb_chunks BEGIN
+	INSERT INTO kb_chunks_fts (kb_chunks_fts, rowid, heading, text) VALUES ('delete', old.id, old.heading, old.text);
+END;
@@ -0,0 +1,19 @@
+-- scheduled jobs: cron expression (server local time), action with JSON params, next and last run
+
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+	id INTEGER PRIMARY KEY AUTOINCREMENT,
+	name TEXT,
+	cron TEXT NOT NULL,
+	action TEXT NOT NULL,
+	params TEXT,
+	catch_up INTEGER NOT NULL DEFAULT 1,
+	enabled INTEGER NOT NULL DEFAULT 1,
+	next_run INTEGER,
+	last_run INTEGER,
+	last_status TEXT,
+	last_error TEXT,
+	run_count INTEGER NOT NULL DEFAULT 0,
+	created_at INTEGER DEFAULT (strftime('%s','now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_next_run ON scheduled_jobs(enabled, next_run);
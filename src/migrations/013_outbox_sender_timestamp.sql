@@ -0,0 +1,3 @@
+-- direct message resends reuse the first attempt's timestamp so recipients see one retried message
+
+ALTER TABLE outbox ADD COLUMN sender_timestamp INTEGER;
@@ -0,0 +1,162 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import * as database from "./database.js";
+import * as cache from "./cache.js";
+import { queryAiGate, featureParams } from "./aigate.js";
+import { queryAi } from "./usage.js";
+import { deliverChannelMessage, deliverContactMessage, getQueue, cancelQueued, priorities, messageLimit } from "./messenger.js";
+import { publishEvent } from "./events.js";
+
+// built-in plugins plus an optional extra directory (PLUGINS_DIR)
+const builtinDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "plugins");
+const extraDir = process.env.PLUGINS_DIR ? path.resolve(process.env.PLUGINS_DIR) : null;
+
+export const pluginHooks = ["contact", "channel", "advert"];
+
+// loaded plugins in run order, settings by "plugin|scope"
+let plugins = [];
+let settings = new Map();
+
+// services every plugin gets in its context
+const services = {
+	database,
+	cache,
+	aigate: { queryAiGate, queryAi, featureParams },
+	// plugin sends return once queued unless they pass wait: true
+	queue: {
+		deliverChannelMessage: (message) => deliverChannelMessage({ wait: false, ...message }),
+		deliverContactMessage: (message) => deliverContactMessage({ wait: false, ...message }),
+		getQueue,
+		cancelQueued,
+		priorities,
+		messageLimit
+	},
+	events: { publishEvent }
+};
+
+// settings scope of an event: "channel:<idx>", "contact" or "advert"
+function eventScope(hook, event) {
+	return hook === "channel" ? `channel:${event.channelIdx}` : hook;
+}
+
+// reload settings from the database (after API changes)
+function loadSettings() {
+	settings = new Map(database.getPluginSettings().map((row) => [`${row.plugin}|${row.scope}`, row]));
+}
+
+// plugin defaults: "enabled" flag, "channels" list limits channel events
+function defaultEnabled(plugin, hook, event) {
+
+	if (hook === "channel" && Array.isArray(plugin.channels)) return plugin.channels.includes(Number(event.channelIdx));
+	return plugin.enabled !== false;
+}
+
+// effective state for an event: scope setting, then "*" setting, then plugin defaults
+function resolveSettings(plugin, hook, event) {
+
+	const scoped = settings.get(`${plugin.name}|${eventScope(hook, event)}`);
+	const global = settings.get(`${plugin.name}|*`);
+	const enabled = scoped?.enabled ?? global?.enabled ?? defaultEnabled(plugin, hook, event);
+
+	return { enabled, config: { ...plugin.config, ...global?.config, ...scoped?.config } };
+}
+
+// import plugin modules (default export) from a directory
+async function importPlugins(dir) {
+
+	if (!dir || !fs.existsSync(dir)) return [];
+
+	const loaded = [];
+	const files = fs.readdirSync(dir).filter((file) => file.endsWith(".js")).sort();
+
+	for (const file of files) {
+		try {
+			const { default: plugin } = await import(pathToFileURL(path.join(dir, file)).href);
+			if (!plugin?.name || typeof plugin.hooks !== "object") throw new Error("Missing name or hooks");
+			loaded.push(plugin);
+		} catch (error) {
+			console.log(`Failed to load plugin ${file}`, error);
+		}
+	}
+
+	return loaded;
+}
+
+// load plugins and their settings; later duplicates of a name are skipped
+export async function startPlugins() {
+
+	const loaded = [...await importPlugins(builtinDir), ...await importPlugins(extraDir)];
+	const byName = new Map();
+
+	for (const plugin of loaded) {
+		if (byName.has(plugin.name)) {
+			console.log(`Duplicate plugin ${plugin.name} skipped`);
+			continue;
+		}
+		byName.set(plugin.name, plugin);
+	}
+
+	plugins = [...byName.values()].sort((a, b) => (a.order ?? 100) - (b.order ?? 100) || a.name.localeCompare(b.name));
+	loadSettings();
+
+	console.log("Plugins loaded", plugins.map((plugin) => plugin.name));
+}
+
+// pass an event through the enabled plugins in order until one claims it (hook returns true)
+export async function runPlugins(hook, event, extras = {}) {
+
+	for (const plugin of plugins) {
+
+		const handler = plugin.hooks[hook];
+		if (typeof handler !== "function") continue;
+
+		const { enabled, config } = resolveSettings(plugin, hook, event);
+		if (!enabled) continue;
+
+		try {
+			const claimed = await handler(event, { ...services, ...extras, plugin: plugin.name, config });
+			if (claimed === true) return { claimedBy: plugin.name };
+		} catch (error) {
+			console.log(`Plugin ${plugin.name} ${hook} failed`, error);
+		}
+	}
+
+	return { claimedBy: null };
+}
+
+// loaded plugins with defaults and stored settings
+export function listPlugins() {
+
+	return plugins.map((plugin) => ({
+		name: plugin.name,
+		description: plugin.description || "",
+		order: plugin.order ?? 100,
+		hooks: pluginHooks.filter((hook) => typeof plugin.hooks[hook] === "function"),
+		defaults: { enabled: plugin.enabled !== false, channels: plugin.channels ?? null, config: plugin.config || {} },
+		settings: [...settings.values()]
+			.filter((row) => row.plugin === plugin.name)
+			.map(({ scope, enabled, config, updated_at }) => ({ scope, enabled, config, updatedAt: updated_at }))
+	}));
+}
+
+// enable/disable or configure a plugin for a scope; unset fields keep their stored value, reset drops the scope
+export function configurePlugin({ name, scope = "*", enabled, config, reset = false }) {
+
+	if (!plugins.some((plugin) => plugin.name === name)) throw new Error(`Unknown plugin ${name}`);
+
+	if (reset) {
+		database.removePluginSetting(name, scope);
+	} else {
+		const current = settings.get(`${name}|${scope}`);
+		database.savePluginSetting({
+			plugin: name,
+			scope,
+			enabled: enabled === undefined ? current?.enabled ?? null : enabled,
+			config: config === undefined ? current?.config ?? null : config
+		});
+	}
+
+	loadSettings();
+	return listPlugins().find((plugin) => plugin.name === name);
+}
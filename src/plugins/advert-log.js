@@ -0,0 +1,11 @@
+// log every received advert (placeholder for advert-driven behaviours)
+export default {
+	name: "advert-log",
+	description: "log received adverts",
+	hooks: {
+		advert({ advName, publicKey, type, lastAdvert, lastMod, advLat, advLon }, { bot }) {
+			console.log("nudgeBot advert path", { botName: bot.name, advName, publicKey, type, lastAdvert, lastMod, advLat, advLon });
+			return false;
+		}
+	}
+};
@@ -0,0 +1,58 @@
+// AI answers to direct messages (BOT_CONTACTS_ALLOW / BOT_CONTACTS_DENY) and to channel mentions
+// enabled on BOT_CHANNELS by default
+const botChannels = String(process.env.BOT_CHANNELS || "")
+	.split(",")
+	.map((part) => part.trim())
+	.filter(Boolean)
+	.map(Number)
+	.filter((n) => Number.isFinite(n));
+
+export default {
+	name: "ai-reply",
+	description: "answer direct messages and channel mentions with AI",
+	order: 30,
+	channels: botChannels,
+	hooks: {
+		async contact({ advName, text, publicKey, senderTimestamp, messageId }, { bot }) {
+
+			if (!bot.isAllowedContact(publicKey)) return false;
+
+			console.log("nudgeBot contact path", { botName: bot.name, advName, text, publicKey, senderTimestamp });
+
+			const question = (text || "").trim();
+			if (!question) return false;
+
+			try {
+				const answer = await bot.answer({ source: "contact", advName, question, publicKey, messageId });
+				if (answer.text) console.log("nudgeBot contact reply", answer.text);
+			} catch (error) {
+				console.log("nudgeBot: AI contact reply failed", error);
+			}
+
+			return true;
+		},
+
+		async channel({ advName, text, publicKey, channelIdx, channelName, senderTimestamp, messageId }, { bot }) {
+
+			// per-channel enablement narrows BOT_CHANNELS, never widens it
+			if (!bot.isAllowedChannel(channelIdx)) return false;
+
+			// engage only when explicitly mentioned
+			if (!bot.isMentioned(text)) return false;
+
+			console.log("nudgeBot channel path", { botName: bot.name, advName, text, publicKey, channelIdx, channelName, senderTimestamp });
+
+			const question = bot.stripMention(text);
+			if (!question) return false;
+
+			try {
+				const answer = await bot.answer({ source: "channel", advName, question, channelIdx, channelName, messageId });
+				if (answer.text) console.log("nudgeBot channel reply", answer.text);
+			} catch (error) {
+				console.log("nudgeBot: AI reply failed", error);
+			}
+
+			return true;
+		}
+	}
+};
@@ -0,0 +1,10 @@
+// prefix commands (!help, !ping, ...) from src/commands; per-command permissions still apply
+export default {
+	name: "commands",
+	description: "prefix commands such as !help and !ping",
+	order: 20,
+	hooks: {
+		contact: (event, { bot }) => bot.runCommand(event),
+		channel: (event, { bot }) => bot.runCommand(event)
+	}
+};
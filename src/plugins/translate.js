@@ -0,0 +1,156 @@
+import { byteLength, truncateBytes } from "../helpers.js";
+
+// translation bridge: forwards channel messages along the routes in translation_routes
+// (source channel -> destination channel, target language, optional prompt and language detection)
+
+// legacy single route from env, used while no routes are stored
+const legacySource = String(process.env.AI_TRANSLATE_FROM || "")
+	.split(",")
+	.map((part) => part.trim())
+	.filter(Boolean)
+	.map(Number)
+	.filter((n) => Number.isFinite(n));
+
+const legacyDestination = (() => {
+	const n = Number(process.env.AI_TRANSLATE_TO);
+	return process.env.AI_TRANSLATE_TO && Number.isFinite(n) ? n : null;
+})();
+
+const legacyPrompt = "Return only the Latvian—English translation. If not translatable, return as is.";
+
+// models answer with this when detection finds the text already in the target language
+const skipToken = "[SKIP]";
+
+// forwards the bridge queued recently ("<channel>|<payload>"), to stop them being translated again
+// only the bot's own payloads are kept, so other senders repeating a text ("ok") still get translated
+const recentForwards = new Map();
+const recentWindow = 10 * 60 * 1000;
+
+function forwardKey(channelIdx, text) {
+	return `${Number(channelIdx)}|${String(text || "").replace(/\s+/g, " ").trim()}`;
+}
+
+function remember(channelIdx, payload) {
+
+	const now = Date.now();
+	for (const [key, at] of recentForwards) {
+		if (now - at > recentWindow) recentForwards.delete(key);
+	}
+
+	recentForwards.set(forwardKey(channelIdx, payload), now);
+}
+
+// forwarded text coming back: own node, or one of our forwards on this channel
+// (also when a relaying node put its own "name: " in front)
+function isEcho({ channelIdx, advName, text }, { bot }) {
+
+	if (bot.name && advName === bot.name) return true;
+
+	const relayed = String(text).replace(/^[^:\n]{1,32}:\s+/, "");
+	return [text, relayed].some((candidate) => {
+		const at = recentForwards.get(forwardKey(channelIdx, candidate));
+		return at != null && Date.now() - at <= recentWindow;
+	});
+}
+
+// routes for a source channel: stored ones, or the legacy env route when none are stored
+function routesFor(channelIdx, database) {
+
+	const stored = database.getTranslationRoutes();
+	if (stored.length) return stored.filter((route) => route.enabled && route.source_channel_idx === Number(channelIdx));
+
+	if (legacyDestination == null || !legacySource.includes(Number(channelIdx))) return [];
+	return [{ id: null, source_channel_idx: Number(channelIdx), destination_channel_idx: legacyDestination, language: null, prompt: legacyPrompt, detect: false }];
+}
+
+// system prompt for a route; {language} in custom prompts is replaced
+function buildPrompt(route, budget) {
+
+	const base = route.prompt
+		? route.prompt.replaceAll("{language}", route.language || "")
+		: `Translate the message into ${route.language}. Return only the translation, keep names and callsigns.`;
+	const detect = route.detect && route.language ? ` If it is already in ${route.language}, return exactly ${skipToken}.` : "";
+
+	return `${base}${detect} Max ${budget} chars.`;
+}
+
+// translate for one route and queue the forward
+async function forward(route, { channelIdx, advName, publicKey, text, messageId }, { aigate, queue, events, bot }) {
+
+	if (route.destination_channel_idx === Number(channelIdx)) return;
+
+	const namePart = `${advName || "Unknown"}: `;
+	const budget = Math.max(0, queue.messageLimit - byteLength(namePart));
+
+	const { text: translated, model, usage } = await aigate.queryAi({
+		...aigate.featureParams("translate"),
+		userPrompt: text,
+		systemPrompt: buildPrompt(route, budget),
+		maxTokens: Math.max(40, Math.ceil(budget / 2))
+	}, { source: "translation", publicKey, channelIdx: Number(channelIdx) });
+
+	const translatedClean = (translated || "").trim();
+	if (!translatedClean || translatedClean.includes(skipToken)) return;
+
+	// hard cap to protect downstream limits
+	const payload = namePart + truncateBytes(translatedClean, budget);
+	remember(route.destination_channel_idx, payload);
+
+	// pacing is left to the outgoing queue (lowest priority); queued without waiting for the radio,
+	// so commands and mentions behind this plugin are not held up by the send
+	const { messageId: outgoingId, status } = await queue.deliverChannelMessage({
+		channelIdx: route.destination_channel_idx,
+		advName: bot.name,
+		text: payload,
+		split: false,
+		replyTo: messageId,
+		priority: "translation",
+		model,
+		usage,
+		wait: false
+	});
+
+	events.publishEvent("bot.translation", {
+		messageId: outgoingId,
+		replyTo: messageId,
+		routeId: route.id,
+		language: route.language,
+		sourceChannelIdx: Number(channelIdx),
+		channelIdx: route.destination_channel_idx,
+		text: payload,
+		status
+	});
+	if (status !== "queued") console.log("translate: forward not queued", { routeId: route.id, status });
+}
+
+export default {
+	name: "translate",
+	description: "forward AI translations along the translation routes",
+	order: 10,
+	hooks: {
+		// never claims: the message may still be a command or a question for the bot
+		async channel(event, context) {
+
+			const text = (event.text || "").trim();
+			if (!text) return false;
+
+			const routes = routesFor(event.channelIdx, context.database);
+			if (!routes.length) return false;
+
+			if (isEcho(event, context)) {
+				console.log("translate: skipped forwarded text", { channelIdx: event.channelIdx, advName: event.advName });
+				return false;
+			}
+
+			for (const route of routes) {
+				try {
+					await forward(route, { ...event, text }, context);
+				} catch (error) {
+					console.log("translate failed", { routeId: route.id, error });
+				}
+			}
+
+			return false;
+		}
+	}
+};
@@ -0,0 +1,145 @@
+// Anthropic Messages API (/v1/messages)
+// system prompts move to the top-level "system", tool calls and results become content blocks
+
+const apiVersion = "2023-06-01";
+
+// Messages API requires max_tokens
+const defaultMaxTokens = 1024;
+
+function parseArguments(value) {
+	try {
+		return value ? JSON.parse(value) : {};
+	} catch {
+		return {};
+	}
+}
+
+// OpenAI-style turns -> { system, messages }, merging consecutive turns of the same role
+function convertMessages(messages) {
+
+	const system = [];
+	const converted = [];
+
+	const add = (role, blocks) => {
+		const last = converted.at(-1);
+		if (last?.role === role) last.content.push(...blocks);
+		else converted.push({ role, content: blocks });
+	};
+
+	for (const message of messages) {
+
+		if (message.role === "system") {
+			system.push(message.content);
+		} else if (message.role === "tool") {
+			add("user", [{ type: "tool_result", tool_use_id: message.tool_call_id, content: String(message.content ?? "") }]);
+		} else if (message.role === "assistant") {
+			add("assistant", [
+				...(message.content ? [{ type: "text", text: message.content }] : []),
+				...(message.tool_calls || []).map((call) => ({ type: "tool_use", id: call.id, name: call.function.name, input: parseArguments(call.function.arguments) }))
+			]);
+		} else {
+			add("user", [{ type: "text", text: String(message.content ?? "") }]);
+		}
+	}
+
+	return { system: system.filter(Boolean).join("\n\n"), messages: converted };
+}
+
+function parseUsage(usage) {
+
+	if (!usage) return null;
+
+	const prompt = usage.input_tokens || 0;
+	const completion = usage.output_tokens || 0;
+	return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+export default {
+	name: "anthropic",
+	endpoint: "https://api.anthropic.com/v1/messages",
+	streamFormat: "sse",
+
+	headers(apiKey) {
+		return { "anthropic-version": apiVersion, ...(apiKey ? { "x-api-key": apiKey } : {}) };
+	},
+
+	body({ model, messages, temperature, maxTokens, tools, toolChoice, stream }) {
+
+		const { system, messages: converted } = convertMessages(messages);
+
+		return {
+			model,
+			max_tokens: maxTokens ?? defaultMaxTokens,
+			messages: converted,
+			...(system ? { system } : {}),
+			...(typeof temperature === "number" ? { temperature } : {}),
+			...(tools.length ? {
+				tools: tools.map(({ function: fn }) => ({ name: fn.name, description: fn.description, input_schema: fn.parameters || { type: "object" } })),
+				...(toolChoice ? { tool_choice: { type: toolChoice } } : {})
+			} : {}),
+			...(stream ? { stream: true } : {})
+		};
+	},
+
+	parse(data) {
+
+		const blocks = data?.content || [];
+
+		return {
+			text: blocks.filter((block) => block.type === "text").map((block) => block.text).join("").trim(),
+			toolCalls: blocks
+				.filter((block) => block.type === "tool_use")
+				.map((block) => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input ?? {}) })),
+			usage: parseUsage(data?.usage),
+			model: data?.model
+		};
+	},
+
+	error(data) {
+		return data?.error?.message || null;
+	},
+
+	// message_start / content_block_start / content_block_delta / message_delta events
+	createStream() {
+
+		const state = { text: "", blocks: [], usage: { input_tokens: 0, output_tokens: 0 }, model: null };
+
+		return {
+			push(event) {
+
+				if (event.type === "error") throw new Error(event.error?.message || "Stream error");
+
+				if (event.type === "message_start") {
+					state.model = event.message?.model || state.model;
+					state.usage.input_tokens = event.message?.usage?.input_tokens || 0;
+				}
+
+				if (event.type === "message_delta" && event.usage) {
+					state.usage.output_tokens = event.usage.output_tokens || state.usage.output_tokens;
+				}
+
+				if (event.type === "content_block_start" && event.content_block?.type === "tool_use") {
+					state.blocks[event.index] = { id: event.content_block.id, name: event.content_block.name, json: "" };
+				}
+
+				if (event.type !== "content_block_delta") return "";
+
+				if (event.delta?.type === "input_json_delta" && state.blocks[event.index]) {
+					state.blocks[event.index].json += event.delta.partial_json || "";
+				}
+
+				const text = event.delta?.type === "text_delta" ? event.delta.text || "" : "";
+				state.text += text;
+				return text;
+			},
+			result() {
+				return {
+					text: state.text.trim(),
+					toolCalls: state.blocks.filter(Boolean).map((block) => ({ id: block.id, name: block.name, arguments: block.json || "{}" })),
+					usage: parseUsage(state.usage),
+					model: state.model
+				};
+			}
+		};
+	}
+};
@@ -0,0 +1,109 @@
+// Ollama native chat API (/api/chat), streams newline-delimited JSON
+// tool call arguments are objects and calls carry no ids, so ids are made up per answer
+
+function parseArguments(value) {
+	try {
+		return value ? JSON.parse(value) : {};
+	} catch {
+		return {};
+	}
+}
+
+// OpenAI-style turns -> Ollama messages
+function convertMessages(messages) {
+
+	return messages.map((message) => {
+
+		if (message.role === "assistant" && message.tool_calls?.length) {
+			return {
+				role: "assistant",
+				content: message.content || "",
+				tool_calls: message.tool_calls.map((call) => ({ function: { name: call.function.name, arguments: parseArguments(call.function.arguments) } }))
+			};
+		}
+
+		if (message.role === "tool") return { role: "tool", content: String(message.content ?? "") };
+		return { role: message.role, content: String(message.content ?? "") };
+	});
+}
+
+function parseToolCalls(calls = []) {
+	return calls.map((call, index) => ({
+		id: call.id || `call_${index}`,
+		name: call.function?.name,
+		arguments: typeof call.function?.arguments === "string" ? call.function.arguments : JSON.stringify(call.function?.arguments ?? {})
+	}));
+}
+
+// prompt_eval_count / eval_count are only in the final (done) object
+function parseUsage(data) {
+
+	if (data?.prompt_eval_count == null && data?.eval_count == null) return null;
+
+	const prompt = data.prompt_eval_count || 0;
+	const completion = data.eval_count || 0;
+	return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: prompt + completion };
+}
+
+export default {
+	name: "ollama",
+	endpoint: "http://localhost:11434/api/chat",
+	streamFormat: "ndjson",
+
+	headers(apiKey) {
+		return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+	},
+
+	// no tool_choice in Ollama: tools are left out when calls are not allowed
+	body({ model, messages, temperature, maxTokens, tools, toolChoice, stream }) {
+
+		const options = {
+			...(typeof temperature === "number" ? { temperature } : {}),
+			...(typeof maxTokens === "number" ? { num_predict: maxTokens } : {})
+		};
+
+		return {
+			model,
+			messages: convertMessages(messages),
+			stream: Boolean(stream),
+			...(Object.keys(options).length ? { options } : {}),
+			...(tools.length && toolChoice !== "none" ? { tools } : {})
+		};
+	},
+
+	parse(data) {
+		return {
+			text: data?.message?.content?.trim() || "",
+			toolCalls: parseToolCalls(data?.message?.tool_calls),
+			usage: parseUsage(data),
+			model: data?.model
+		};
+	},
+
+	error(data) {
+		return typeof data?.error === "string" ? data.error : data?.error?.message || null;
+	},
+
+	createStream() {
+
+		const state = { text: "", toolCalls: [], usage: null, model: null };
+
+		return {
+			push(chunk) {
+
+				if (chunk.error) throw new Error(typeof chunk.error === "string" ? chunk.error : chunk.error.message);
+
+				state.model = chunk.model || state.model;
+				state.toolCalls.push(...(chunk.message?.tool_calls || []));
+				if (chunk.done) state.usage = parseUsage(chunk);
+
+				const text = chunk.message?.content || "";
+				state.text += text;
+				return text;
+			},
+			result() {
+				return { text: state.text.trim(), toolCalls: parseToolCalls(state.toolCalls), usage: state.usage, model: state.model };
+			}
+		};
+	}
+};
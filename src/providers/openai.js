@@ -0,0 +1,86 @@
+// OpenAI chat completions (/v1/chat/completions) and compatible servers
+// messages and tools already use this shape, so requests pass them through
+
+// usage keys are the normalized ones
+function parseUsage(usage) {
+
+	if (!usage) return null;
+
+	return {
+		prompt_tokens: usage.prompt_tokens || 0,
+		completion_tokens: usage.completion_tokens || 0,
+		total_tokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+	};
+}
+
+function parseToolCalls(calls = []) {
+	return calls.filter(Boolean).map((call) => ({ id: call.id, name: call.function?.name, arguments: call.function?.arguments || "" }));
+}
+
+export default {
+	name: "openai",
+	endpoint: "https://api.openai.com/v1/chat/completions",
+	streamFormat: "sse",
+
+	headers(apiKey) {
+		return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+	},
+
+	body({ model, messages, temperature, maxTokens, tools, toolChoice, stream }) {
+		return {
+			model,
+			messages,
+			...(typeof temperature === "number" ? { temperature } : {}),
+			...(typeof maxTokens === "number" ? { max_tokens: maxTokens } : {}),
+			...(tools.length ? { tools, ...(toolChoice ? { tool_choice: toolChoice } : {}) } : {}),
+			...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+		};
+	},
+
+	parse(data) {
+
+		const message = data?.choices?.[0]?.message;
+
+		return {
+			text: message?.content?.trim() || "",
+			toolCalls: parseToolCalls(message?.tool_calls),
+			usage: parseUsage(data?.usage),
+			model: data?.model
+		};
+	},
+
+	error(data) {
+		return data?.error?.message || (typeof data?.error === "string" ? data.error : null);
+	},
+
+	// chunks carry choices[0].delta; tool calls arrive in pieces keyed by index
+	createStream() {
+
+		const state = { text: "", toolCalls: [], usage: null, model: null };
+
+		return {
+			push(chunk) {
+
+				if (chunk.error) throw new Error(chunk.error.message || String(chunk.error));
+
+				state.model = chunk.model || state.model;
+				state.usage = chunk.usage || state.usage;
+
+				const delta = chunk.choices?.[0]?.delta;
+
+				for (const part of delta?.tool_calls || []) {
+					const call = state.toolCalls[part.index ?? 0] ??= { id: null, function: { name: "", arguments: "" } };
+					if (part.id) call.id = part.id;
+					if (part.function?.name) call.function.name += part.function.name;
+					if (part.function?.arguments) call.function.arguments += part.function.arguments;
+				}
+
+				state.text += delta?.content || "";
+				return delta?.content || "";
+			},
+			result() {
+				return { text: state.text.trim(), toolCalls: parseToolCalls(state.toolCalls), usage: parseUsage(state.usage), model: state.model };
+			}
+		};
+	}
+};
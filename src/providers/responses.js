@@ -0,0 +1,113 @@
+// OpenAI Responses API (/v1/responses)
+// system prompts become "instructions", tool calls and results are separate input items
+
+// OpenAI-style turns -> { instructions, input }
+function convertMessages(messages) {
+
+	const instructions = [];
+	const input = [];
+
+	for (const message of messages) {
+
+		if (message.role === "system") {
+			instructions.push(message.content);
+		} else if (message.role === "tool") {
+			input.push({ type: "function_call_output", call_id: message.tool_call_id, output: String(message.content ?? "") });
+		} else {
+			if (message.content) input.push({ role: message.role, content: String(message.content) });
+			for (const call of message.tool_calls || []) {
+				input.push({ type: "function_call", call_id: call.id, name: call.function.name, arguments: call.function.arguments || "{}" });
+			}
+		}
+	}
+
+	return { instructions: instructions.filter(Boolean).join("\n\n"), input };
+}
+
+function parseUsage(usage) {
+
+	if (!usage) return null;
+
+	const prompt = usage.input_tokens || 0;
+	const completion = usage.output_tokens || 0;
+	return { prompt_tokens: prompt, completion_tokens: completion, total_tokens: usage.total_tokens || prompt + completion };
+}
+
+function parseResponse(data) {
+
+	const output = data?.output || [];
+
+	return {
+		text: output
+			.filter((item) => item.type === "message")
+			.flatMap((item) => item.content || [])
+			.filter((part) => part.type === "output_text")
+			.map((part) => part.text)
+			.join("")
+			.trim(),
+		toolCalls: output
+			.filter((item) => item.type === "function_call")
+			.map((item) => ({ id: item.call_id, name: item.name, arguments: item.arguments || "" })),
+		usage: parseUsage(data?.usage),
+		model: data?.model
+	};
+}
+
+export default {
+	name: "responses",
+	endpoint: "https://api.openai.com/v1/responses",
+	streamFormat: "sse",
+
+	headers(apiKey) {
+		return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+	},
+
+	body({ model, messages, temperature, maxTokens, tools, toolChoice, stream }) {
+
+		const { instructions, input } = convertMessages(messages);
+
+		return {
+			model,
+			input,
+			store: false,
+			...(instructions ? { instructions } : {}),
+			...(typeof temperature === "number" ? { temperature } : {}),
+			...(typeof maxTokens === "number" ? { max_output_tokens: maxTokens } : {}),
+			...(tools.length ? {
+				tools: tools.map(({ function: fn }) => ({ type: "function", name: fn.name, description: fn.description, parameters: fn.parameters })),
+				...(toolChoice ? { tool_choice: toolChoice } : {})
+			} : {}),
+			...(stream ? { stream: true } : {})
+		};
+	},
+
+	parse: parseResponse,
+
+	error(data) {
+		return data?.error?.message || null;
+	},
+
+	// text deltas as they come, everything else from the completed response
+	createStream() {
+
+		let completed = null;
+		let text = "";
+
+		return {
+			push(event) {
+
+				if (event.type === "error") throw new Error(event.message || event.error?.message || "Stream error");
+				if (event.type === "response.failed") throw new Error(event.response?.error?.message || "Response failed");
+				if (event.type === "response.completed" || event.type === "response.incomplete") completed = event.response;
+
+				if (event.type !== "response.output_text.delta") return "";
+
+				text += event.delta || "";
+				return event.delta || "";
+			},
+			result() {
+				return completed ? parseResponse(completed) : { text: text.trim(), toolCalls: [], usage: null, model: null };
+			}
+		};
+	}
+};
@@ -0,0 +1,63 @@
+import * as database from "./database.js";
+import { parseEnvNumber } from "./helpers.js";
+
+const daySeconds = 86400;
+
+// retention limits from env (0 = keep forever)
+const retentionConfig = {
+	messagesMaxAge: parseEnvNumber(process.env.RETENTION_MESSAGES_DAYS, 0) * daySeconds,
+	messagesMaxPerConversation: parseEnvNumber(process.env.RETENTION_MESSAGES_MAX_ROWS, 0),
+	advertsMaxAge: parseEnvNumber(process.env.RETENTION_ADVERTS_DAYS, 0) * daySeconds
+};
+
+// prune every RETENTION_INTERVAL minutes, compact every RETENTION_VACUUM_HOURS hours
+const pruneInterval = parseEnvNumber(process.env.RETENTION_INTERVAL, 60) * 60 * 1000;
+const vacuumInterval = parseEnvNumber(process.env.RETENTION_VACUUM_HOURS, 24) * 60 * 60 * 1000;
+
+let pruneTimer = null;
+let lastVacuum = Date.now();
+
+// run pruning once, compacting when due (or forced)
+export function pruneNow({ vacuum = false } = {}) {
+
+	const startedAt = Date.now();
+	const deleted = database.pruneDatabase(retentionConfig);
+
+	const vacuumDue = vacuumInterval > 0 && Date.now() - lastVacuum >= vacuumInterval;
+	let compacted = null;
+
+	if (vacuum || vacuumDue) {
+		compacted = database.compactDatabase();
+		lastVacuum = Date.now();
+	}
+
+	const total = Object.values(deleted).reduce((sum, count) => sum + count, 0);
+
+	return { deleted, total, compacted, durationMs: Date.now() - startedAt };
+}
+
+// schedule periodic pruning when any limit is configured
+export function startRetention() {
+
+	if (pruneTimer || !pruneInterval) return;
+
+	const hasLimits = Object.values(retentionConfig).some((value) => value > 0);
+	if (!hasLimits && !vacuumInterval) return;
+
+	pruneTimer = setInterval(() => {
+		try {
+			const result = pruneNow();
+			if (result.total || result.compacted) console.log("Retention pruning", result);
+		} catch (error) {
+			console.log("Retention pruning failed", error);
+		}
+	}, pruneInterval);
+
+	pruneTimer.unref?.();
+	console.log("Retention scheduled", { ...retentionConfig, pruneInterval, vacuumInterval });
+}
+
+// current retention limits (seconds / rows)
+export function getRetentionConfig() {
+	return { ...retentionConfig, pruneInterval, vacuumInterval };
+}
@@ -0,0 +1,303 @@
+import * as database from "./database.js";
+import { deliverChannelMessage } from "./messenger.js";
+import { publishEvent } from "./events.js";
+import { getBotName } from "./bot.js";
+import { summarizeChannel, postDigest } from "./digest.js";
+import { parseEnvNumber } from "./helpers.js";
+
+// runs missed while the device was disconnected (or the app stopped) are caught up once
+// when at most SCHEDULER_MISSED_WINDOW seconds late, older ones are skipped
+const missedWindow = parseEnvNumber(process.env.SCHEDULER_MISSED_WINDOW, 3600);
+
+// due jobs are checked every pollInterval; a run this late (s) still counts as on time
+const pollInterval = 30000;
+const onTimeGrace = 90;
+
+let connection = null;
+let isConnected = false;
+let pollTimer = null;
+let running = false;
+
+// cron fields: minute hour day-of-month month day-of-week (0 or 7 = Sunday)
+const cronFields = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+	{ name: "weekday", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] }
+];
+
+const cronMacros = {
+	"@hourly": "0 * * * *",
+	"@daily": "0 0 * * *",
+	"@midnight": "0 0 * * *",
+	"@weekly": "0 0 * * 0",
+	"@monthly": "0 0 1 * *",
+	"@yearly": "0 0 1 1 *",
+	"@annually": "0 0 1 1 *"
+};
+
+// job actions: params(input) normalizes and validates stored params, run(params) does the work
+export const jobActions = {
+
+	flood_advert: {
+		async run() {
+			await connection.sendFloodAdvert();
+		}
+	},
+
+	zero_hop_advert: {
+		async run() {
+			await connection.sendZeroHopAdvert();
+		}
+	},
+
+	sync_time: {
+		async run() {
+			await connection.syncDeviceTime();
+		}
+	},
+
+	// announcement queued like an operator message
+	channel_message: {
+		params(input) {
+
+			const channelIdx = Number(input?.channelIdx);
+			const text = typeof input?.text === "string" ? input.text.trim() : "";
+			if (!Number.isInteger(channelIdx) || channelIdx < 0) throw new Error("Invalid channelIdx");
+			if (!text) throw new Error("Missing text");
+
+			return { channelIdx, text };
+		},
+		async run({ channelIdx, text }) {
+
+			const channel = await connection.getChannel(channelIdx).catch(() => null);
+			const { messageId, status } = await deliverChannelMessage({
+				channelIdx,
+				channelName: channel?.name || null,
+				advName: getBotName(),
+				text,
+				priority: "operator",
+				wait: false
+			});
+
+			return { messageId, status };
+		}
+	},
+
+	// AI digest of a channel's last hours, posted to the channel or to toChannelIdx / toPublicKey
+	channel_digest: {
+		params(input) {
+
+			const channelIdx = Number(input?.channelIdx);
+			const hours = input?.hours == null || input.hours === "" ? null : Number(input.hours);
+			const toChannelIdx = input?.toChannelIdx == null || input.toChannelIdx === "" ? null : Number(input.toChannelIdx);
+			const toPublicKey = typeof input?.toPublicKey === "string" && input.toPublicKey ? input.toPublicKey.trim().toLowerCase() : null;
+
+			if (!Number.isInteger(channelIdx) || channelIdx < 0) throw new Error("Invalid channelIdx");
+			if (hours != null && !(hours > 0 && hours <= 24 * 7)) throw new Error("Invalid hours");
+			if (toChannelIdx != null && (!Number.isInteger(toChannelIdx) || toChannelIdx < 0)) throw new Error("Invalid toChannelIdx");
+			if (toPublicKey && !/^[0-9a-f]{64}$/.test(toPublicKey)) throw new Error("Invalid toPublicKey");
+
+			return { channelIdx, hours, toChannelIdx, toPublicKey };
+		},
+		async run({ channelIdx, hours, toChannelIdx, toPublicKey }) {
+
+			const summary = await summarizeChannel({ channelIdx, ...(hours ? { hours } : {}) });
+			if (!summary.text) return { skipped: true, messages: summary.messages };
+
+			const target = toPublicKey ? { publicKey: toPublicKey } : { channelIdx: toChannelIdx ?? channelIdx };
+			const { messageId, status } = await postDigest(summary, target);
+
+			return { messageId, status, messages: summary.messages };
+		}
+	}
+};
+
+// one cron field ("*", "5", "1-5", "*/15", "mon-fri", "1,15") -> Set of values
+function parseField(part, { name, min, max, names = [] }) {
+
+	const values = new Set();
+	const toNumber = (token) => {
+		const index = names.indexOf(token.toLowerCase());
+		const n = index >= 0 ? index + (name === "month" ? 1 : 0) : Number(token);
+		if (!/^\d+$/.test(token) && index < 0) throw new Error(`Invalid cron ${name} ${part}`);
+		if (n < min || n > max) throw new Error(`Cron ${name} out of range: ${part}`);
+		return n;
+	};
+
+	for (const item of part.split(",")) {
+
+		const [range, stepText] = item.split("/");
+		const step = stepText === undefined ? 1 : Number(stepText);
+		if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid cron step ${item}`);
+
+		const bounds = range === "*" ? [min, max] : range.split("-").map(toNumber);
+		if (bounds.length > 2) throw new Error(`Invalid cron range ${item}`);
+
+		let [from, to] = bounds;
+		if (to === undefined) to = stepText === undefined ? from : max;
+		if (from > to) throw new Error(`Invalid cron range ${item}`);
+
+		for (let n = from; n <= to; n += step) values.add(name === "weekday" ? n % 7 : n);
+	}
+
+	return values;
+}
+
+// "*/15 6-22 * * mon-fri" or a macro like "@daily" -> matcher sets; throws on invalid expressions
+export function parseCron(expression) {
+
+	const text = String(expression || "").trim().toLowerCase();
+	const parts = (cronMacros[text] || text).split(/\s+/);
+	if (parts.length !== 5) throw new Error("Cron needs 5 fields: minute hour day month weekday");
+
+	const [minute, hour, day, month, weekday] = parts.map((part, index) => parseField(part, cronFields[index]));
+
+	// with both day fields restricted either one matches (classic cron)
+	return { minute, hour, day, month, weekday, anyDay: parts[2] === "*", anyWeekday: parts[4] === "*" };
+}
+
+function dayMatches(cron, date) {
+
+	const day = cron.day.has(date.getDate());
+	const weekday = cron.weekday.has(date.getDay());
+
+	if (cron.anyDay || cron.anyWeekday) return day && weekday;
+	return day || weekday;
+}
+
+// first matching minute after unix seconds, in server local time; null when nothing matches within 5 years
+export function nextCronRun(expression, after = Math.floor(Date.now() / 1000)) {
+
+	const cron = typeof expression === "string" ? parseCron(expression) : expression;
+	const date = new Date(after * 1000);
+	date.setSeconds(0, 0);
+	date.setMinutes(date.getMinutes() + 1);
+
+	const limit = date.getTime() + 5 * 366 * 86400 * 1000;
+
+	while (date.getTime() <= limit) {
+
+		if (!cron.month.has(date.getMonth() + 1)) {
+			date.setMonth(date.getMonth() + 1, 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!dayMatches(cron, date)) {
+			date.setDate(date.getDate() + 1);
+			date.setHours(0, 0, 0, 0);
+		} else if (!cron.hour.has(date.getHours())) {
+			date.setHours(date.getHours() + 1, 0, 0, 0);
+		} else if (!cron.minute.has(date.getMinutes())) {
+			date.setMinutes(date.getMinutes() + 1, 0, 0);
+		} else {
+			return Math.floor(date.getTime() / 1000);
+		}
+	}
+
+	return null;
+}
+
+// store a job with its first run; cron, action and params are validated
+export function addJob({ name = null, cron, action, params = null, catchUp = true }) {
+
+	const handler = jobActions[action];
+	if (!handler) throw new Error(`Unknown action ${action}`);
+
+	const nextRun = nextCronRun(cron);
+	if (nextRun == null) throw new Error("Cron expression never matches");
+
+	const id = database.addScheduledJob({ name, cron, action, params: handler.params ? handler.params(params) : null, catchUp, nextRun });
+	return database.getScheduledJob(id);
+}
+
+// pause a job, or resume it from its next cron time (runs while paused are not caught up)
+export function pauseJob(id, paused = true) {
+
+	const job = database.getScheduledJob(id);
+	if (!job) return null;
+
+	database.setScheduledJobEnabled(id, !paused, paused ? null : nextCronRun(job.cron));
+	return database.getScheduledJob(id);
+}
+
+// run one due job: on time or within the missed window (once, however many runs were missed), else skip it
+async function runJob(job, now) {
+
+	const late = now - job.next_run;
+	const nextRun = nextCronRun(job.cron, now);
+	const catchUp = late > onTimeGrace;
+
+	if (catchUp && (!job.catch_up || late > missedWindow)) {
+		database.recordScheduledJobRun(job.id, { lastRun: now, nextRun, status: "missed", ran: false });
+		publishEvent("scheduler.run", { jobId: job.id, name: job.name, action: job.action, status: "missed", scheduledAt: job.next_run });
+		console.log("Scheduled job missed", { id: job.id, name: job.name, scheduledAt: job.next_run });
+		return;
+	}
+
+	let result = null;
+	let error = null;
+
+	try {
+		result = await jobActions[job.action].run(job.params || {});
+	} catch (runError) {
+		error = runError?.message || String(runError);
+	}
+
+	const status = error ? "failed" : "ok";
+	database.recordScheduledJobRun(job.id, { lastRun: now, nextRun, status, error });
+	publishEvent("scheduler.run", {
+		jobId: job.id,
+		name: job.name,
+		action: job.action,
+		status,
+		scheduledAt: job.next_run,
+		...(catchUp ? { catchUp } : {}),
+		...(result ? { result } : {}),
+		...(error ? { error } : {})
+	});
+
+	if (error) console.log("Scheduled job failed", { id: job.id, name: job.name, error });
+}
+
+// run due jobs in order while the device is connected
+async function runDueJobs() {
+
+	if (running || !isConnected) return;
+	running = true;
+
+	try {
+		const now = Math.floor(Date.now() / 1000);
+
+		for (const job of database.getDueScheduledJobs(now)) {
+			if (!isConnected) break;
+
+			if (!jobActions[job.action]) {
+				database.recordScheduledJobRun(job.id, { lastRun: now, nextRun: null, status: "failed", error: `Unknown action ${job.action}`, ran: false });
+				continue;
+			}
+
+			await runJob(job, now);
+		}
+	} catch (error) {
+		console.log("Scheduler run failed", error);
+	} finally {
+		running = false;
+	}
+}
+
+// start polling for due jobs
+export function startScheduler(meshConnection) {
+
+	connection = meshConnection;
+	if (pollTimer) return;
+
+	pollTimer = setInterval(runDueJobs, pollInterval);
+	pollTimer.unref?.();
+}
+
+// device link state; jobs wait while disconnected and missed ones are handled after reconnect
+export function setSchedulerConnected(connected) {
+
+	isConnected = Boolean(connected);
+	if (isConnected) setTimeout(runDueJobs, 0);
+}
@@ -1,5 +1,6 @@
 import http from "http";
 import path from "path";
+import crypto from "crypto";
 import { fileURLToPath } from "url";
 import { createReadStream } from "fs";
 import { stat } from "fs/promises";
@@ -25,25 +26,68 @@ const httpCodes = {
 		missingAction: "Missing action",
 		unknownAction: "Unknown action"
 	},
+	"401": "Unauthorized",
 	"403": "Forbidden",
 	"404": "Not Found",
 	"405": "Method Not Allowed",
 	"500": "Internal Server Error"
 };
 
+// ordered roles, each includes the ones before it
+const roles = ["read", "operator", "admin"];
+
+// hash tokens so lookups compare fixed-length digests in constant time
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest();
+
 export default class HttpServer {
 
 	// initialize http server with static and api routes
-	constructor({ port = 8080, host = "localhost", root = "http", staticDir, apiPath = "/api", actions = {} } = {}) {
+	// tokens: { token: role }, permissions: { action: minimum role } (unlisted actions need admin)
+	// events: { subscribe(listener) -> unsubscribe, since(lastId) -> events, matches(event, filter) } served as SSE on `${apiPath}/events`
+	constructor({ port = 8080, host = "localhost", root = "http", staticDir, apiPath = "/api", actions = {}, tokens = {}, permissions = {}, events = null } = {}) {
 
 		this.port = port;
 		this.host = host;
 		this.apiPath = apiPath;
+		this.eventsPath = `${apiPath.replace(/\/$/, "")}/events`;
+		this.events = events;
 		this.staticDir = staticDir || path.join(__dirname, root);
 		this.actions = actions;
+		this.permissions = permissions;
+		this.tokens = Object.entries(tokens)
+			.filter(([token, role]) => token && roles.includes(role))
+			.map(([token, role]) => ({ hash: hashToken(token), role }));
 		this.server = null;
 	}
 
+	// auth is enforced only when tokens are configured
+	get authEnabled() {
+		return this.tokens.length > 0;
+	}
+
+	// resolve caller role from "Authorization: Bearer <token>" (null when missing/invalid)
+	authenticate(req) {
+
+		if (!this.authEnabled) return { role: "admin", authenticated: false };
+
+		const match = (req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+		const token = match ? match[1].trim() : null;
+		if (!token) return null;
+
+		const hash = hashToken(token);
+		const entry = this.tokens.find((candidate) => crypto.timingSafeEqual(candidate.hash, hash));
+
+		// tokenId: short hash prefix identifying the caller without exposing the token
+		return entry ? { role: entry.role, authenticated: true, tokenId: entry.hash.toString("hex").slice(0, 12) } : null;
+	}
+
+	// check role against the action's required role
+	isAllowed(role, action) {
+
+		const required = this.permissions[action] || "admin";
+		return roles.indexOf(role) >= roles.indexOf(required);
+	}
+
 	// start listening
 	async start() {
 
@@ -57,6 +101,7 @@ export default class HttpServer {
 			this.server.listen(this.port, this.host, () => {
 
 				console.log(`HTTP server listening on ${this.host}:${this.port}`);
+				if (!this.authEnabled) console.log("HTTP API auth disabled (no tokens configured)");
 				resolve(this.server);
 			});
 		});
@@ -81,6 +126,7 @@ export default class HttpServer {
 			}
 
 			// GET
+			if (req.method === "GET" && this.events && requestUrl.pathname === this.eventsPath) return this.handleEventStream(req, res, requestUrl);
 			if (req.method === "GET") return this.serveStatic(res, requestUrl.pathname);
 
 			// other methods
@@ -130,6 +176,14 @@ export default class HttpServer {
 	// dispatch an API action from the action map
 	async handleAction(req, res) {
 
+		const auth = this.authenticate(req);
+
+		if (!auth) {
+
+			res.setHeader("WWW-Authenticate", "Bearer");
+			return this.json(res, 401, { ok: false, error: httpCodes["401"] });
+		}
+
 		const body = await this.readRequestBody(req);
 		let payload = {};
 
@@ -153,6 +207,11 @@ export default class HttpServer {
 			return this.json(res, 400, { ok: false, error: httpCodes["400"].unknownAction });
 		}
 
+		if (!this.isAllowed(auth.role, action)) {
+
+			return this.json(res, 403, { ok: false, error: httpCodes["403"] });
+		}
+
 		let parsedParams = params;
 
 		if (typeof params === "string") {
@@ -165,11 +224,106 @@ export default class HttpServer {
 			}
 		}
 
-		const result = await handler(parsedParams);
+		// handlers may answer progressively through stream.send(); the result then closes the stream as "done"
+		const stream = this.createActionStream(res);
+		const result = await handler(parsedParams, auth, stream);
 
+		if (stream.started) return stream.end({ ok: true, result });
 		return this.json(res, 200, { ok: true, result });
 	}
 
+	// SSE response opened on the first send; signal aborts when the client goes away
+	createActionStream(res) {
+
+		const controller = new AbortController();
+		res.on("close", () => {
+			if (!res.writableFinished) controller.abort();
+		});
+
+		const stream = {
+			started: false,
+			signal: controller.signal,
+			send(event, data) {
+
+				if (res.writableEnded || controller.signal.aborted) return;
+
+				if (!stream.started) {
+					res.writeHead(200, {
+						"Content-Type": "text/event-stream",
+						"Cache-Control": "no-cache",
+						Connection: "keep-alive",
+						"X-Accel-Buffering": "no"
+					});
+					stream.started = true;
+				}
+
+				res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+			},
+			end(payload) {
+				stream.send("done", payload);
+				res.end();
+			}
+		};
+
+		return stream;
+	}
+
+	// stream events as SSE; ?types=a,b (prefix "message" matches "message.*"), ?channel=1,2
+	// reconnecting clients resume from Last-Event-ID (or ?lastEventId=)
+	handleEventStream(req, res, requestUrl) {
+
+		const auth = this.authenticate(req);
+
+		if (!auth) {
+
+			res.setHeader("WWW-Authenticate", "Bearer");
+			return this.json(res, 401, { ok: false, error: httpCodes["401"] });
+		}
+
+		if (!this.isAllowed(auth.role, "apiEvents")) {
+
+			return this.json(res, 403, { ok: false, error: httpCodes["403"] });
+		}
+
+		const listParam = (name) => (requestUrl.searchParams.get(name) || "")
+			.split(",")
+			.map((part) => part.trim())
+			.filter(Boolean);
+
+		const filter = {
+			types: listParam("types"),
+			channels: listParam("channel").map(Number).filter(Number.isFinite),
+			// direct messages only go to roles allowed "apiEventsContact"
+			contacts: this.isAllowed(auth.role, "apiEventsContact")
+		};
+
+		const send = (event) => {
+			if (this.events.matches(event, filter)) res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+		};
+
+		res.writeHead(200, {
+			"Content-Type": "text/event-stream",
+			"Cache-Control": "no-cache",
+			Connection: "keep-alive",
+			"X-Accel-Buffering": "no"
+		});
+		res.write("retry: 5000\n\n");
+
+		// replay what the client missed
+		const lastEventId = req.headers["last-event-id"] || requestUrl.searchParams.get("lastEventId");
+		if (lastEventId) this.events.since(lastEventId).forEach(send);
+
+		const unsubscribe = this.events.subscribe(send);
+
+		// keep proxies from closing idle streams
+		const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+
+		req.on("close", () => {
+			clearInterval(heartbeat);
+			unsubscribe();
+		});
+	}
+
 	// collect request body
 	async readRequestBody(req) {
 
@@ -0,0 +1,221 @@
+import * as database from "./database.js";
+import * as cache from "./cache.js";
+import { constantKey, formatAge } from "./helpers.js";
+import Constants from "meshcore.js/src/constants.js";
+
+// built-in AI tools over the mesh state (adverts, advert history, device contacts, channel messages)
+// for queryAiGate's tool loop: const { tools, runTool } = createMeshTools({ channelIdx });
+
+const maxResults = 20;
+
+const now = () => Math.floor(Date.now() / 1000);
+const ago = (seconds) => (seconds ? `${formatAge(now() - seconds)} ago` : null);
+const clamp = (value, fallback, min, max) => Math.min(Math.max(Number(value) || fallback, min), max);
+
+// stored "lat"/"lon" text -> number, null when missing or 0,0 (no position set)
+function position(lat, lon) {
+
+	const latitude = Number(lat);
+	const longitude = Number(lon);
+	if (!lat || !lon || !Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+	if (latitude === 0 && longitude === 0) return null;
+
+	return { lat: latitude, lon: longitude };
+}
+
+// great-circle distance in km
+function distanceKm(a, b) {
+
+	const rad = (deg) => deg * Math.PI / 180;
+	const dLat = rad(b.lat - a.lat);
+	const dLon = rad(b.lon - a.lon);
+	const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+	return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+// compact node row for the model
+function describeNode(node) {
+	return {
+		name: node.adv_name,
+		type: node.type || null,
+		publicKey: String(node.public_key || "").slice(0, 12),
+		lastHeard: ago(node.last_seen ?? node.timestamp),
+		position: position(node.adv_lat, node.adv_lon)
+	};
+}
+
+// first node matching a name, throws when none is known
+function requireNode(name) {
+
+	const [node] = database.findNodesByName(String(name || ""), 1);
+	if (!node) throw new Error(`No node named ${name}`);
+	return node;
+}
+
+const nodeTools = {
+
+	find_nodes: {
+		description: "Find mesh nodes by (part of) their name: type, public key prefix, when last heard and position.",
+		parameters: {
+			type: "object",
+			properties: { name: { type: "string", description: "node name or part of it" } },
+			required: ["name"]
+		},
+		run({ name }) {
+			return database.findNodesByName(String(name || ""), 5).map((node) => describeNode(node));
+		}
+	},
+
+	node_history: {
+		description: "Recent advert history of one node: when it was heard, position and name changes.",
+		parameters: {
+			type: "object",
+			properties: {
+				name: { type: "string", description: "node name" },
+				limit: { type: "integer", description: "entries, default 5" }
+			},
+			required: ["name"]
+		},
+		run({ name, limit }) {
+
+			const node = requireNode(name);
+			const { timeline } = database.queryAdvertHistory({ publicKey: node.public_key, limit: clamp(limit, 5, 1, maxResults) });
+
+			return {
+				node: describeNode(node),
+				history: timeline.map((entry) => ({
+					name: entry.adv_name,
+					firstHeard: ago(entry.first_heard),
+					lastHeard: ago(entry.last_heard),
+					repeats: entry.repeats,
+					position: position(entry.adv_lat, entry.adv_lon),
+					changes: entry.changes
+				}))
+			};
+		}
+	},
+
+	recent_nodes: {
+		description: "Nodes heard recently, most recent first.",
+		parameters: {
+			type: "object",
+			properties: {
+				hours: { type: "number", description: "look-back window, default 1" },
+				type: { type: "string", description: "node type filter: chat, repeater or room" },
+				limit: { type: "integer", description: "nodes, default 10" }
+			}
+		},
+		run({ hours, type, limit }) {
+
+			const since = now() - clamp(hours, 1, 0.1, 24 * 30) * 3600;
+			const { nodes, total } = database.queryNodeSightings({
+				lastSeenSince: Math.floor(since),
+				type: type ? String(type).toLowerCase() : undefined,
+				limit: clamp(limit, 10, 1, maxResults)
+			});
+
+			return { total, nodes: nodes.map((node) => describeNode(node)) };
+		}
+	},
+
+	nodes_near: {
+		description: "Nodes last heard within a radius of a named node or a lat/lon point, nearest first.",
+		parameters: {
+			type: "object",
+			properties: {
+				name: { type: "string", description: "node to search around" },
+				lat: { type: "number" },
+				lon: { type: "number" },
+				radiusKm: { type: "number", description: "default 10" },
+				hours: { type: "number", description: "only nodes heard within this window, default 24" }
+			}
+		},
+		run({ name, lat, lon, radiusKm, hours }) {
+
+			const origin = name ? requireNode(name) : null;
+			const center = origin ? position(origin.adv_lat, origin.adv_lon) : position(lat, lon);
+			if (!center) throw new Error(origin ? `${origin.adv_name} has no position` : "Missing name or lat/lon");
+
+			const radius = clamp(radiusKm, 10, 0.1, 1000);
+			const since = Math.floor(now() - clamp(hours, 24, 0.1, 24 * 30) * 3600);
+			const { nodes } = database.queryNodeSightings({ lastSeenSince: since, limit: 10000 });
+
+			return nodes
+				.map((node) => ({ node, at: position(node.adv_lat, node.adv_lon) }))
+				.filter(({ node, at }) => at && node.public_key !== origin?.public_key)
+				.map(({ node, at }) => ({ ...describeNode(node), distanceKm: Math.round(distanceKm(center, at) * 10) / 10 }))
+				.filter((node) => node.distanceKm <= radius)
+				.sort((a, b) => a.distanceKm - b.distanceKm)
+				.slice(0, maxResults);
+		}
+	},
+
+	contacts: {
+		description: "Contacts stored on the bot's radio: type, hops of the known path and last advert.",
+		parameters: {
+			type: "object",
+			properties: { name: { type: "string", description: "optional name filter" } }
+		},
+		run({ name }) {
+
+			const filter = String(name || "").toLowerCase();
+
+			return cache.getCachedContacts()
+				.filter((contact) => !filter || String(contact.advName || "").toLowerCase().includes(filter))
+				.slice(0, maxResults)
+				.map((contact) => ({
+					name: contact.advName,
+					type: constantKey(Constants.AdvType, contact.type).toLowerCase(),
+					hops: contact.outPathLen >= 0 && contact.outPathLen < 255 ? contact.outPathLen : null,
+					lastAdvert: ago(contact.lastAdvert)
+				}));
+		}
+	}
+};
+
+// message tools only see the channel the question came from
+function channelTools(channelIdx) {
+
+	return {
+		channel_messages: {
+			description: "Messages in this channel: the latest ones, or full-text matches for a query.",
+			parameters: {
+				type: "object",
+				properties: {
+					query: { type: "string", description: "optional search words" },
+					hours: { type: "number", description: "look-back window, default 24" },
+					limit: { type: "integer", description: "messages, default 10" }
+				}
+			},
+			run({ query, hours, limit }) {
+
+				const since = Math.floor(now() - clamp(hours, 24, 0.1, 24 * 30) * 3600);
+				const count = clamp(limit, 10, 1, maxResults);
+				const rows = query
+					? database.searchMessages({ query: String(query), channelIdx, since, context: 0, limit: count }).hits
+					: database.queryMessages({ channelIdx, since, limit: count }).messages;
+
+				return rows.map((row) => ({ from: row.adv_name, text: row.text, when: ago(row.timestamp) }));
+			}
+		}
+	};
+}
+
+// tool definitions and dispatcher for one question; channelIdx scopes the message tools
+export function createMeshTools({ channelIdx = null } = {}) {
+
+	const available = { ...nodeTools, ...(channelIdx != null ? channelTools(Number(channelIdx)) : {}) };
+
+	return {
+		tools: Object.entries(available).map(([name, { description, parameters }]) => ({
+			type: "function",
+			function: { name, description, parameters }
+		})),
+		runTool(name, args) {
+			const tool = available[name];
+			if (!tool) throw new Error(`Unknown tool ${name}`);
+			return tool.run(args || {});
+		}
+	};
+}
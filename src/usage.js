@@ -0,0 +1,155 @@
+import * as database from "./database.js";
+import { queryAiGate } from "./aigate.js";
+import { parseEnvNumber } from "./helpers.js";
+
+// token quotas per UTC day / month (0 = unlimited): mesh nodes, channels, HTTP API callers
+const quotas = {
+	user: {
+		daily: parseEnvNumber(process.env.AI_QUOTA_USER_DAILY, 0),
+		monthly: parseEnvNumber(process.env.AI_QUOTA_USER_MONTHLY, 0)
+	},
+	channel: {
+		daily: parseEnvNumber(process.env.AI_QUOTA_CHANNEL_DAILY, 0),
+		monthly: parseEnvNumber(process.env.AI_QUOTA_CHANNEL_MONTHLY, 0)
+	},
+	caller: {
+		daily: parseEnvNumber(process.env.AI_QUOTA_API_DAILY, 0),
+		monthly: parseEnvNumber(process.env.AI_QUOTA_API_MONTHLY, 0)
+	}
+};
+
+// price per 1K tokens: AI_PRICES="model:input:output,..." ("*" matches any model)
+const prices = new Map(String(process.env.AI_PRICES || "")
+	.split(",")
+	.map((entry) => entry.trim())
+	.filter(Boolean)
+	.map((entry) => {
+		// model names may contain ":" (e.g. "llama3:8b"), prices are the last two fields
+		const parts = entry.split(":");
+		const output = parts.pop();
+		const input = parts.pop();
+		return [parts.join(":"), { input: parseEnvNumber(input, 0), output: parseEnvNumber(output, 0) }];
+	})
+	.filter(([model]) => model));
+
+// subject field per quota kind
+const subjectKeys = { user: "publicKey", channel: "channelIdx", caller: "caller" };
+
+// unix seconds at the start of the current UTC day or month
+function periodStart(period) {
+
+	const now = new Date();
+	const start = period === "daily"
+		? Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+		: Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1);
+
+	return Math.floor(start / 1000);
+}
+
+// used and remaining tokens for each configured quota of a subject ({ publicKey, channelIdx, caller })
+function quotaStatus(subject) {
+
+	const status = [];
+
+	for (const [kind, key] of Object.entries(subjectKeys)) {
+
+		const id = subject?.[key];
+		if (id === undefined || id === null || id === "") continue;
+
+		for (const period of ["daily", "monthly"]) {
+
+			const limit = quotas[kind][period];
+			if (!limit) continue;
+
+			const { tokens } = database.sumAiUsage({ [key]: id, since: periodStart(period) });
+			status.push({ kind, id, period, limit, used: tokens, remaining: Math.max(0, limit - tokens) });
+		}
+	}
+
+	return status;
+}
+
+// first exhausted quota of a subject, null while within limits
+export function checkQuota(subject) {
+	return quotaStatus(subject).find((quota) => quota.remaining <= 0) || null;
+}
+
+// true for errors thrown when a quota blocks a call
+export function isQuotaError(error) {
+	return error?.code === "AI_QUOTA_EXCEEDED";
+}
+
+// short mesh-friendly notice for an exhausted quota
+export function quotaMessage(error) {
+
+	const when = error?.quota?.period === "monthly" ? "next month" : "tomorrow";
+	const whose = error?.quota?.kind === "channel" ? "this channel has" : "you have";
+	return `Sorry, ${whose} used up the AI quota. Please try again ${when}.`;
+}
+
+// price of one call from AI_PRICES (0 when the model has no price)
+function costOf(model, usage) {
+
+	const price = prices.get(model) || prices.get("*");
+	if (!price || !usage) return 0;
+
+	return ((usage.prompt_tokens || 0) * price.input + (usage.completion_tokens || 0) * price.output) / 1000;
+}
+
+// add a finished call to the usage ledger
+export function recordUsage({ source = null, publicKey = null, channelIdx = null, caller = null, model = null, usage = null }) {
+
+	database.recordAiUsage({
+		source,
+		publicKey,
+		channelIdx,
+		caller,
+		model,
+		promptTokens: usage?.prompt_tokens || 0,
+		completionTokens: usage?.completion_tokens || 0,
+		totalTokens: usage?.total_tokens || (usage?.prompt_tokens || 0) + (usage?.completion_tokens || 0),
+		cost: costOf(model, usage)
+	});
+}
+
+// queryAiGate with the quota check before and usage recording after the call, also when it fails
+// subject: { source, publicKey, channelIdx, caller } the call is charged to
+export async function queryAi(params, subject = {}) {
+
+	const exceeded = checkQuota(subject);
+	if (exceeded) {
+		const error = new Error(`AI ${exceeded.period} quota exceeded (${exceeded.kind})`);
+		error.code = "AI_QUOTA_EXCEEDED";
+		error.quota = exceeded;
+		throw error;
+	}
+
+	const record = (model, usage) => {
+		try {
+			recordUsage({ ...subject, model, usage });
+		} catch (error) {
+			console.log("recordUsage failed", error);
+		}
+	};
+
+	try {
+		const result = await queryAiGate(params);
+		record(result.model, result.usage);
+		return result;
+	} catch (error) {
+		// tokens spent before a failure or an aborted stream count against quotas too
+		if (error?.usage) record(error.model, error.usage);
+		throw error;
+	}
+}
+
+// grouped usage report with configured quotas and, for a given subject, what is left
+export function getUsageReport({ publicKey, channelIdx, caller, ...filters } = {}) {
+
+	return {
+		...database.reportAiUsage({ publicKey, channelIdx, caller, ...filters }),
+		quotas,
+		prices: Object.fromEntries(prices),
+		quotaStatus: quotaStatus({ publicKey, channelIdx, caller })
+	};
+}
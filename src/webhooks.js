@@ -0,0 +1,198 @@
+import crypto from "node:crypto";
+import * as database from "./database.js";
+import { subscribeEvents, eventMatches } from "./events.js";
+import { parseEnvNumber } from "./helpers.js";
+
+// delivery tuning: request timeout (ms), attempts before giving up, backoff bounds (s)
+const requestTimeout = parseEnvNumber(process.env.WEBHOOK_TIMEOUT, 10000, { positive: true });
+const maxAttempts = parseEnvNumber(process.env.WEBHOOK_MAX_ATTEMPTS, 8, { positive: true });
+const backoffBase = parseEnvNumber(process.env.WEBHOOK_BACKOFF, 30, { positive: true });
+const backoffMax = 6 * 60 * 60;
+const pollInterval = 15000;
+
+// finished deliveries are kept WEBHOOK_KEEP_DAYS days (0 = forever), purged at most once an hour
+const keepDays = parseEnvNumber(process.env.WEBHOOK_KEEP_DAYS, 7);
+const purgeInterval = 60 * 60 * 1000;
+let lastPurge = 0;
+
+let unsubscribe = null;
+let pollTimer = null;
+let draining = false;
+
+// comma-separated list column -> array
+const splitList = (value) => String(value || "")
+	.split(",")
+	.map((part) => part.trim())
+	.filter(Boolean);
+
+// drop old delivered/failed rows so the delivery log does not grow without limit
+function purgeDeliveries() {
+
+	if (!keepDays || Date.now() - lastPurge < purgeInterval) return;
+	lastPurge = Date.now();
+
+	try {
+		const purged = database.purgeWebhookDeliveries(keepDays * 86400);
+		if (purged) console.log("Webhook deliveries purged", purged);
+	} catch (error) {
+		console.log("Webhook purge failed", error);
+	}
+}
+
+// sign "<timestamp>.<body>" so receivers can verify origin and reject replays
+export function signPayload(secret, timestamp, body) {
+	return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// generate a webhook secret when the caller gives none
+export function generateSecret() {
+	return crypto.randomBytes(24).toString("hex");
+}
+
+// POST one payload; resolves with { ok, status, error }
+async function postPayload({ url, secret, eventType, deliveryId, body }) {
+
+	const timestamp = Math.floor(Date.now() / 1000);
+
+	try {
+		const response = await fetch(url, {
+			method: "POST",
+			headers: {
+				"Content-Type": "application/json",
+				"User-Agent": "meshcore-ai-webhooks",
+				"X-MeshCore-Event": eventType,
+				"X-MeshCore-Delivery": String(deliveryId ?? ""),
+				"X-MeshCore-Timestamp": String(timestamp),
+				"X-MeshCore-Signature": `sha256=${signPayload(secret, timestamp, body)}`
+			},
+			body,
+			signal: AbortSignal.timeout(requestTimeout)
+		});
+
+		return { ok: response.ok, status: response.status, error: response.ok ? null : response.statusText || `HTTP ${response.status}` };
+	} catch (error) {
+		return { ok: false, status: null, error: error?.message || String(error) };
+	}
+}
+
+// queue an event for every enabled webhook subscribed to it
+function enqueueEvent(event) {
+
+	let webhooks = [];
+
+	try {
+		webhooks = database.getWebhooks({ enabledOnly: true });
+	} catch (error) {
+		console.log("Webhooks lookup failed", error);
+		return;
+	}
+
+	const body = JSON.stringify(event);
+	let queued = 0;
+
+	for (const webhook of webhooks) {
+
+		const filter = {
+			types: splitList(webhook.events),
+			channels: splitList(webhook.channels).map(Number).filter(Number.isFinite)
+		};
+
+		if (!eventMatches(event, filter)) continue;
+
+		database.enqueueWebhookDelivery({ webhookId: webhook.id, eventId: event.id, eventType: event.type, payload: body });
+		queued++;
+	}
+
+	if (queued) drainQueue();
+}
+
+// deliver due queue entries, rescheduling failures with exponential backoff
+async function drainQueue() {
+
+	if (draining) return;
+	draining = true;
+
+	try {
+		let batch = database.getDueWebhookDeliveries();
+
+		while (batch.length) {
+
+			for (const delivery of batch) {
+
+				const result = await postPayload({
+					url: delivery.url,
+					secret: delivery.secret,
+					eventType: delivery.event_type,
+					deliveryId: delivery.id,
+					body: delivery.payload
+				});
+
+				if (result.ok) {
+					database.updateWebhookDelivery(delivery.id, { status: "delivered", responseStatus: result.status });
+					continue;
+				}
+
+				const attempts = delivery.attempts + 1;
+				const giveUp = attempts >= maxAttempts;
+				const retryIn = giveUp ? null : Math.min(backoffBase * 2 ** (attempts - 1), backoffMax);
+
+				database.updateWebhookDelivery(delivery.id, {
+					status: giveUp ? "failed" : "pending",
+					responseStatus: result.status,
+					error: result.error,
+					retryIn
+				});
+
+				console.log("Webhook delivery failed", { id: delivery.id, url: delivery.url, attempts, retryIn, error: result.error });
+			}
+
+			batch = database.getDueWebhookDeliveries();
+		}
+	} catch (error) {
+		console.log("Webhook queue failed", error);
+	} finally {
+		draining = false;
+	}
+}
+
+// subscribe to the event bus and poll for retries (also resumes queue after restart)
+export function startWebhooks() {
+
+	if (unsubscribe) return;
+
+	unsubscribe = subscribeEvents((event) => {
+		try {
+			enqueueEvent(event);
+		} catch (error) {
+			console.log("Webhook enqueue failed", error);
+		}
+	});
+
+	pollTimer = setInterval(() => {
+		purgeDeliveries();
+		drainQueue();
+	}, pollInterval);
+	pollTimer.unref?.();
+
+	purgeDeliveries();
+	drainQueue();
+}
+
+// send a synthetic event straight to one webhook (bypasses the queue)
+export async function testWebhook(webhook) {
+
+	const event = {
+		id: null,
+		type: "webhook.test",
+		time: Math.floor(Date.now() / 1000),
+		data: { webhookId: webhook.id, message: "Test delivery from meshcore-ai" }
+	};
+
+	return postPayload({
+		url: webhook.url,
+		secret: webhook.secret,
+		eventType: event.type,
+		deliveryId: null,
+		body: JSON.stringify(event)
+	});
+}